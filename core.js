@@ -0,0 +1,1172 @@
+/*  Aidan & Dune’s Adventure  – simulation core
+    -------------------------------------------
+    Everything that decides what happens in a level, with no p5 in sight:
+    map parsing, players, balls, enemies, moving platforms and the rules.
+    A Game takes a parsed level and steps it one tick at a time from packed
+    input bits; main.js only reads its state to draw it and turns its
+    events into sounds. Loaded before main.js in the page, and with
+    require() by the Node tests (node --test test/).
+*/
+
+/* ─── Simulation constants ─── */
+const GAME_TIME_LIMIT = 120000;
+const GRAVITY = 0.8;
+const MOVE_SPEED = 4;
+const JUMP_STRENGTH = 20;
+const TERMINAL_VEL = 25;
+const MAX_BALLS = 300;
+const BOUNCE_COOLDOWN = 3000;
+const TICK_MS = 1000 / 60;      // one fixed simulation step
+const TILE_SIZE = 36;           // world px per tile; the physics is tuned to it
+const BALL_LIFETIME = 20000;
+const KICK_POWER = 12;          // soccer ball launch speed
+const TOY_BALL_SPEED = 8;       // launch speed of a toy ball at KICK_POWER
+const KICK_REACH = 1.2;         // in tiles, player centre → ball centre
+const DRIBBLE_BOUNCE = 0.3;     // restitution of a player touching the ball
+const ROLL_FRICTION = 0.97;     // soccer ball x-speed kept per ground contact
+const MOVER_SPEED = 1.5;        // moving platform speed (px per tick)
+const ENEMY_SPEED = 1.5;
+const ENEMY_KO_TICKS = 30;      // squash animation before a defeated enemy vanishes
+const LIVES = 3;                // per run, unless the level sets `lives`
+const RESPAWN_INVULN_TICKS = 90; // blinking grace period after a respawn
+const LEASH_TILES = 20;         // co-op: how far apart the players may get (Play's view fits it)
+const LAND_SPEED = 6;           // falling faster than this makes a 'land' event
+
+// Player animation states (see Player.act): how many ticks the one-shot ones
+// last, and which may cut into which (higher wins; victory lasts for good)
+const ANIM_TICKS = { land: 8, kick: 14, hurt: 24, victory: Infinity };
+const ANIM_RANK = { land: 1, kick: 2, hurt: 3, victory: 4 };
+
+// Berry kinds: points, plus `lives` (extra lives) or `time` (ms put back on
+// the clock). A MAPS entry's `berries` can change them for one level.
+const BERRY_KINDS = {
+  common: { points: 10 },
+  rare:   { points: 50 },
+  golden: { points: 200, lives: 1 },
+  time:   { points: 10, time: 5000 }
+};
+const COMBO_WINDOW_MS = 750;    // a berry this soon after the last one grows the combo
+const COMBO_MAX = 4;            // highest combo points multiplier
+const TIME_BONUS_PER_S = 10;    // points per second left on the clock when you win
+const SPLIT_BERRIES = 10;       // a split time every this many berries
+
+// what a character's `stats` can set (see CHARACTERS in main.js);
+// airControl scales how quickly you can steer while off the ground
+const DEFAULT_STATS = { speed: MOVE_SPEED, jump: JUMP_STRENGTH, airControl: 1, kickPower: KICK_POWER };
+
+/* ─── Per-tick input (what Player.update reads) ─── */
+const INPUT_BITS = { left: 1, right: 2, jump: 4, kick: 8 };
+const PLAYER_BITS = 4; // co-op: player 2's input bits sit above player 1's
+
+function packInput(input) {
+  let bits = 0;
+  for (const k in INPUT_BITS) if (input[k]) bits |= INPUT_BITS[k];
+  return bits;
+}
+function unpackInput(bits) {
+  const input = {};
+  for (const k in INPUT_BITS) input[k] = (bits & INPUT_BITS[k]) !== 0;
+  return input;
+}
+
+/* ─── Math ─── */
+// the few p5 helpers the simulation needs, so it runs without p5
+function clamp(v, lo, hi) {
+  return Math.max(lo, Math.min(hi, v));
+}
+function mix(a, b, t) {
+  return a + (b - a) * t;
+}
+
+class Vec {
+  constructor(x = 0, y = 0) {
+    this.x = x;
+    this.y = y;
+  }
+  static fromAngle(a, len = 1) {
+    return new Vec(Math.cos(a) * len, Math.sin(a) * len);
+  }
+  static sub(a, b) { return a.copy().sub(b); }
+  static mult(a, s) { return a.copy().mult(s); }
+  static div(a, s) { return a.copy().div(s); }
+  static dist(a, b) { return Math.hypot(a.x - b.x, a.y - b.y); }
+
+  copy() { return new Vec(this.x, this.y); }
+  set(x, y) {
+    if (x instanceof Vec) [x, y] = [x.x, x.y];
+    this.x = x;
+    this.y = y;
+    return this;
+  }
+  add(v) { this.x += v.x; this.y += v.y; return this; }
+  sub(v) { this.x -= v.x; this.y -= v.y; return this; }
+  mult(s) { this.x *= s; this.y *= s; return this; }
+  div(s) { this.x /= s; this.y /= s; return this; }
+  dot(v) { return this.x * v.x + this.y * v.y; }
+  mag() { return Math.sqrt(this.x * this.x + this.y * this.y); }
+  setMag(len) {
+    const m = this.mag();
+    return m ? this.mult(len / m) : this;
+  }
+}
+
+/* ══════════ Ball ══════════ */
+class Ball {
+  constructor(x, y, dirRight, speed = TOY_BALL_SPEED) {
+    this.pos = new Vec(x, y);
+    const ang = dirRight ? -Math.PI / 4 : -3 * Math.PI / 4; // 45°
+    this.vel = Vec.fromAngle(ang).setMag(speed);
+    this.r = TILE_SIZE * 0.4;
+    this.spin = Math.random() * 0.4 - 0.2; // looks only, never feeds back
+    this.a = 0;
+    this.age = 0;           // in ticks
+    this.lastSound = -Infinity; // tick of the last bounce event
+    this.prev = this.pos.copy();
+  }
+  // the match ball of a soccer level: starts still, rolls, never expires
+  static soccer(x, y) {
+    const b = new Ball(x, y, true);
+    b.vel.set(0, 0);
+    b.soccer = true;
+    return b;
+  }
+  update(game) {
+    this.prev.set(this.pos);
+    this.age++;
+    this.vel.y += GRAVITY * 0.5;
+
+    // move in steps of at most half a radius, so fast balls can't skip a tile
+    const steps = Math.max(1, Math.ceil(this.vel.mag() / (this.r * 0.5)));
+    for (let i = 0; i < steps; i++) {
+      this.pos.add(Vec.div(this.vel, steps));
+      this.collideWalls(game);
+      this.collideTiles(game);
+    }
+    this.a += this.soccer ? this.vel.x / this.r : this.spin;
+  }
+  // left and right edges of the map
+  collideWalls(game) {
+    const right = game.level.w * TILE_SIZE;
+    if (this.pos.x - this.r < 0 || this.pos.x + this.r > right) {
+      if ((this.pos.x < right / 2) === (this.vel.x < 0)) this.bounceX(game);
+      this.pos.x = clamp(this.pos.x, this.r, right - this.r);
+    }
+  }
+  // push out of every solid tile the circle overlaps, sides and corners too;
+  // one-way ledges only catch a ball that was above them
+  collideTiles(game) {
+    const r = this.r, s = TILE_SIZE, tiles = game.level.tiles;
+    const x0 = Math.floor((this.pos.x - r) / s), x1 = Math.floor((this.pos.x + r) / s);
+    const y0 = Math.floor((this.pos.y - r) / s), y1 = Math.floor((this.pos.y + r) / s);
+    for (let ty = y0; ty <= y1; ty++) {
+      for (let tx = x0; tx <= x1; tx++) {
+        const t = tiles[ty]?.[tx];
+        if (t !== 'platform' && t !== 'oneway') continue;
+        const left = tx * s, top = ty * s;
+        if (t === 'oneway') {
+          if (this.vel.y > 0 && this.prev.y + r <= top + 0.5 && this.pos.y + r > top &&
+              this.pos.x > left - r * 0.5 && this.pos.x < left + s + r * 0.5) {
+            this.pos.y = top - r;
+            this.bounceY(game);
+          }
+          continue;
+        }
+        // closest point of the tile to the centre
+        const dx = this.pos.x - clamp(this.pos.x, left, left + s);
+        const dy = this.pos.y - clamp(this.pos.y, top, top + s);
+        const d = Math.sqrt(dx * dx + dy * dy);
+        if (d >= r) continue;
+        if (d === 0) {               // centre inside: pop out on top
+          this.pos.y = top - r;
+          if (this.vel.y > 0) this.bounceY(game);
+          continue;
+        }
+        this.pos.x += dx / d * (r - d);
+        this.pos.y += dy / d * (r - d);
+        if (Math.abs(dy) >= Math.abs(dx)) {
+          if (this.vel.y * dy < 0) this.bounceY(game);
+        } else if (this.vel.x * dx < 0) {
+          this.bounceX(game);
+        }
+      }
+    }
+  }
+  bounceX(game) {
+    this.vel.x *= -1;
+    this.sound(game);
+  }
+  // vertical bounce off a floor or ceiling (also used by moving platforms)
+  bounceY(game) {
+    this.vel.y *= -0.85;
+    if (this.soccer) {
+      this.vel.x *= ROLL_FRICTION;
+      if (Math.abs(this.vel.y) < 1.5) this.vel.y = 0; // come to rest
+    }
+    this.sound(game);
+  }
+  // a 'bounce' event, at most once per BOUNCE_COOLDOWN per ball
+  sound(game) {
+    if ((game.ticks - this.lastSound) * TICK_MS > BOUNCE_COOLDOWN) {
+      this.lastSound = game.ticks;
+      game.emit('bounce', this.pos);
+    }
+  }
+  expired() {
+    return !this.soccer && this.age * TICK_MS >= BALL_LIFETIME;
+  }
+}
+
+/* Broad phase for ball–ball hits: bucket balls by grid cell (one diameter
+   wide) and only pair up balls in the same or neighbouring cells. */
+function nearbyPairs(balls) {
+  const cell = 2 * Math.max(0, ...balls.map(b => b.r)) || 1;
+  const key = (cx, cy) => `${cx},${cy}`;
+  const grid = new Map();
+  balls.forEach((b, i) => {
+    const k = key(Math.floor(b.pos.x / cell), Math.floor(b.pos.y / cell));
+    if (!grid.has(k)) grid.set(k, []);
+    grid.get(k).push(i);
+  });
+  const pairs = [];
+  balls.forEach((b, i) => {
+    const cx = Math.floor(b.pos.x / cell), cy = Math.floor(b.pos.y / cell);
+    for (let dy = -1; dy <= 1; dy++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        for (const j of grid.get(key(cx + dx, cy + dy)) || []) {
+          if (j > i) pairs.push([b, balls[j]]);
+        }
+      }
+    }
+  });
+  return pairs;
+}
+
+/* ══════════ Enemy ══════════ */
+/* Walks along platforms and turns around at walls and ledges */
+class Enemy {
+  constructor(x, y, props = {}) {
+    this.w = TILE_SIZE * 0.8;
+    this.h = TILE_SIZE * 0.8;
+    // spawn centred on the bottom of its cell
+    this.pos = new Vec(x + (TILE_SIZE - this.w) / 2, y + TILE_SIZE - this.h - 0.01);
+    this.prev = this.pos.copy();
+    this.vel = new Vec(props.dir === 'left' ? -1 : 1, 0);
+    this.speed = props.speed ?? ENEMY_SPEED;
+    this.g = false;
+    this.ko = 0;          // ticks since defeat, 0 = alive
+  }
+  get alive() { return this.ko === 0; }
+  get gone()  { return this.ko > ENEMY_KO_TICKS; }
+
+  update(level) {
+    this.prev.set(this.pos);
+    if (!this.alive) {
+      this.ko++;
+      return;
+    }
+
+    const s = TILE_SIZE, tiles = level.tiles;
+    this.vel.y = clamp(this.vel.y + GRAVITY, -TERMINAL_VEL, TERMINAL_VEL);
+    this.pos.y += this.vel.y;
+    this.g = false;
+    if (this.vel.y > 0) {
+      const yTile = Math.floor((this.pos.y + this.h) / s);
+      const left  = Math.floor(this.pos.x / s);
+      const right = Math.floor((this.pos.x + this.w - 1) / s);
+      for (let tx = left; tx <= right; tx++) {
+        if (isFloor(tiles[yTile]?.[tx])) {
+          this.pos.y = yTile * s - this.h - 0.01;
+          this.vel.y = 0;
+          this.g = true;
+          break;
+        }
+      }
+    }
+    if (!this.g) return; // falling: no patrol until it lands
+
+    const dir = Math.sign(this.vel.x) || 1;
+    const nextX = this.pos.x + dir * this.speed;
+    const front = dir > 0 ? nextX + this.w : nextX;
+    const fx = Math.floor(front / s);
+    const midY = Math.floor((this.pos.y + this.h / 2) / s);
+    const footY = Math.floor((this.pos.y + this.h) / s) + 1;
+    const wall  = tiles[midY]?.[fx] === 'platform' || fx < 0 || fx >= level.w;
+    const ledge = !isFloor(tiles[footY]?.[fx]);
+    if (wall || ledge) {
+      this.vel.x = -dir;
+    } else {
+      this.pos.x = nextX;
+      this.vel.x = dir;
+    }
+  }
+
+  touches(p) {
+    return this.alive &&
+      p.pos.x < this.pos.x + this.w && p.pos.x + p.w > this.pos.x &&
+      p.pos.y < this.pos.y + this.h && p.pos.y + p.h > this.pos.y;
+  }
+  hitBy(b) {
+    const cx = clamp(b.pos.x, this.pos.x, this.pos.x + this.w);
+    const cy = clamp(b.pos.y, this.pos.y, this.pos.y + this.h);
+    return this.alive && Math.hypot(b.pos.x - cx, b.pos.y - cy) < b.r;
+  }
+  defeat() {
+    this.ko = 1;
+  }
+}
+
+/* ══════════ Moving platforms ══════════ */
+// tiles you can stand on (one-way ledges only from above)
+function isFloor(t) {
+  return t === 'platform' || t === 'oneway';
+}
+
+/* Follows its path back and forth (or round, if `loop`). Solid from above
+   only, like a one-way ledge; whatever stands on it moves with it. */
+class Mover {
+  constructor({ path, start, w, speed, loop }) {
+    this.path = path.map(p => new Vec(p.x * TILE_SIZE, p.y * TILE_SIZE));
+    this.pos = new Vec((start || path[0]).x * TILE_SIZE, (start || path[0]).y * TILE_SIZE);
+    this.prev = this.pos.copy();
+    this.w = w * TILE_SIZE;
+    this.h = TILE_SIZE * 0.5;
+    this.speed = speed ?? MOVER_SPEED;
+    this.loop = !!loop;
+    this.i = 1 % this.path.length;  // path point we're heading to
+    this.dir = 1;
+    this.delta = new Vec(0, 0);     // movement this tick
+  }
+  get top() { return this.pos.y; }
+
+  update() {
+    this.prev.set(this.pos);
+    let step = this.speed;
+    // walk the path, carrying leftover distance past each corner
+    for (let guard = 0; step > 0 && this.path.length > 1 && guard < 8; guard++) {
+      const to = Vec.sub(this.path[this.i], this.pos);
+      const d = to.mag();
+      if (d > step) {
+        this.pos.add(to.setMag(step));
+        break;
+      }
+      this.pos.set(this.path[this.i]);
+      step -= d;
+      if (this.loop) {
+        this.i = (this.i + 1) % this.path.length;
+      } else {
+        if (this.i + this.dir < 0 || this.i + this.dir >= this.path.length) this.dir *= -1;
+        this.i += this.dir;
+      }
+    }
+    this.delta = Vec.sub(this.pos, this.prev);
+  }
+
+  // did a box whose bottom was at `prevBottom` just land on top of us?
+  landed(x, w, prevBottom, bottom) {
+    return x < this.pos.x + this.w && x + w > this.pos.x &&
+           prevBottom <= Math.max(this.prev.y, this.top) + 0.5 && bottom >= this.top;
+  }
+}
+
+/* ══════════ Player ══════════ */
+class Player {
+  constructor(x, y, stats = {}) {
+    this.stats = { ...DEFAULT_STATS, ...stats };
+    this.pos = new Vec(x, y);
+    this.prev = this.pos.copy(); // position at the previous tick
+    this.vel = new Vec(0, 0);
+    this.w = TILE_SIZE * 0.8;
+    this.h = TILE_SIZE * 0.9;
+    this.g = false;
+    this.flip = false;
+    this.walkIntent = false;
+    this.invuln = 0; // respawn grace ticks left (blinking)
+    this.anim = 'idle'; // idle, walk, rise, fall, or a one-shot from act()
+    this.hold = 0;      // ticks left of the one-shot
+  }
+  // a one-shot animation state (land, kick, hurt, victory), unless a
+  // stronger one is still playing
+  act(state) {
+    if (this.hold > 0 && ANIM_RANK[state] < ANIM_RANK[this.anim]) return;
+    this.anim = state;
+    this.hold = ANIM_TICKS[state];
+  }
+  // otherwise the state follows how we're moving
+  animate() {
+    if (this.hold > 0) {
+      this.hold--;
+      return;
+    }
+    this.anim = !this.g ? (this.vel.y < 0 ? 'rise' : 'fall') : this.walkIntent ? 'walk' : 'idle';
+  }
+  update(input, game) {
+    this.prev.set(this.pos);
+    // ride a moving platform
+    if (this.ride) {
+      this.pos.add(this.ride.delta);
+      this.ride = null;
+    }
+    this.lastBottom = this.pos.y + this.h;
+    let dir = 0;
+    if (input.left)  dir = -1;
+    if (input.right) dir = 1;
+
+    this.walkIntent = dir !== 0;
+    const grip = this.g ? 0.2 : 0.2 * this.stats.airControl;
+    this.vel.x = mix(this.vel.x, dir * this.stats.speed, grip);
+    if (dir !== 0) this.flip = dir < 0;
+
+    if (input.jump && this.g) {
+      this.vel.y = -this.stats.jump;
+      this.g = false;
+      game.emit('jump', { x: this.pos.x + this.w / 2, y: this.pos.y + this.h });
+    }
+
+    if (input.kick) game.kick(this);
+
+    this.vel.y += GRAVITY;
+    this.vel.y = clamp(this.vel.y, -TERMINAL_VEL, TERMINAL_VEL);
+
+    this.pos.x += this.vel.x;
+    this.resolveX(game.level.tiles);
+
+    const fall = this.vel.y;
+    this.pos.y += this.vel.y;
+    this.resolveY(game.level.tiles, game.movers);
+    if (fall > LAND_SPEED && this.g && this.vel.y === 0) {
+      game.emit('land', { x: this.pos.x + this.w / 2, y: this.pos.y + this.h });
+      this.act('land');
+    }
+    this.animate();
+  }
+
+  resolveX(tiles) {
+    const s = TILE_SIZE;
+    const top    = Math.floor((this.pos.y + this.h * 0.25) / s);
+    const bottom = Math.floor((this.pos.y + this.h * 0.75) / s);
+    const leftT  = Math.floor(this.pos.x / s);
+    const rightT = Math.floor((this.pos.x + this.w) / s);
+
+    for (let ty = top; ty <= bottom; ty++) {
+      if (this.vel.x > 0 && tiles[ty]?.[rightT] === 'platform') {
+        this.pos.x = rightT * s - this.w - 0.01;
+        this.vel.x = 0;
+      }
+      if (this.vel.x < 0 && tiles[ty]?.[leftT] === 'platform') {
+        this.pos.x = (leftT + 1) * s + 0.01;
+        this.vel.x = 0;
+      }
+    }
+  }
+
+  resolveY(tiles, movers) {
+    const s = TILE_SIZE;
+    if (this.vel.y > 0) {
+      const yTile = Math.floor((this.pos.y + this.h) / s);
+      const left  = Math.floor(this.pos.x / s);
+      const right = Math.floor((this.pos.x + this.w - 1) / s);
+      const fromAbove = this.lastBottom <= yTile * s + 0.01;
+      for (let tx = left; tx <= right; tx++) {
+        const t = tiles[yTile]?.[tx];
+        if (t === 'platform' || (t === 'oneway' && fromAbove)) {
+          this.pos.y = yTile * s - this.h - 0.01;
+          this.vel.y = 0;
+          this.g = true;
+          break;
+        }
+      }
+      for (const m of movers) {
+        if (m.landed(this.pos.x, this.w, this.lastBottom, this.pos.y + this.h)) {
+          this.pos.y = m.top - this.h - 0.01;
+          this.vel.y = 0;
+          this.g = true;
+          this.ride = m;
+          break;
+        }
+      }
+    } else if (this.vel.y < 0) {
+      const yTile = Math.floor(this.pos.y / s);
+      const left  = Math.floor(this.pos.x / s);
+      const right = Math.floor((this.pos.x + this.w - 1) / s);
+      for (let tx = left; tx <= right; tx++) {
+        if (tiles[yTile]?.[tx] === 'platform') {
+          this.pos.y = (yTile + 1) * s + 0.01;
+          this.vel.y = 0;
+          break;
+        }
+      }
+    }
+  }
+}
+
+/* ══════════ Game ══════════ */
+/* One run of a parsed level. step(bits) advances it one tick and returns
+   what happened as event names (jump, land, kick, coin, checkpoint, split,
+   bounce, ko, hurt, goal) for the caller to play sounds for; `spots` has
+   { type, x, y } (world px) for the ones that happened somewhere, for
+   visual effects. `status` turns 'win' or 'over' once the run is decided.
+   `players` lists each player's stats (one entry per player, {} for the
+   defaults); `berries` overrides BERRY_KINDS values for this level.
+   The level's rules: `timeLimit` in ms (null for none), `berriesNeeded`
+   before the flag counts (a number, or 'all'), or `survive` seconds to win
+   on the clock alone (no time limit, the flag does nothing). `reason` says
+   how the run ended: flag, goals (no flag), survive, time or lives.
+   `splits` lists { id, t } (t = elapsed ms) the first time each milestone
+   is reached: checkpoint:N, berries:N (every SPLIT_BERRIES) and finish. */
+class Game {
+  constructor(level, {
+    players = [{}], lives = LIVES, goals = 1, timeLimit = GAME_TIME_LIMIT, berries = {},
+    berriesNeeded = 0, survive = 0
+  } = {}) {
+    this.level = level;
+    this.timeLimit = survive || timeLimit === null ? Infinity : timeLimit;
+    this.surviveMs = survive * 1000;
+    this.ticks = 0;    // simulation steps since the level started
+    this.events = [];
+    this.spots = [];
+    this.status = null;
+    this.reason = null;
+
+    // one player, or two in co-op (sharing berries, lives and checkpoints)
+    const s = TILE_SIZE;
+    this.players = players.map(stats => new Player(level.start.x * s, level.start.y * s, stats));
+    this.span = LEASH_TILES * s; // co-op: how far apart the players may get
+    this.coins = level.coins.map(c => ({ ...c, col: false }));
+    this.berriesNeeded = berriesNeeded === 'all' ? this.coins.length : Math.min(berriesNeeded, this.coins.length);
+    this.berryKinds = {};
+    for (const k in BERRY_KINDS) this.berryKinds[k] = { ...BERRY_KINDS[k], ...berries[k] };
+    this.balls = [];
+    this.enemies = level.enemies.map(e => new Enemy(e.x * s, e.y * s, e.props));
+    this.movers = level.movers.map(m => new Mover(m));
+
+    // score by source; combos chain berries picked up in quick succession
+    this.score = { berries: 0, combo: 0, time: 0 };
+    this.chain = 0;
+    this.lastBerry = -Infinity; // tick of the last berry
+
+    this.splits = [];
+
+    // lives & checkpoints: dying goes back to the last one reached
+    this.lives = lives;
+    this.bonusLives = 0; // from berries, handed back if their berries are
+    this.rewound = 0;  // ticks taken back by respawns (see elapsed())
+    this.checkpoints = level.checkpoints.map(c => ({ ...c }));
+    this.checkpoint = this.snapshot(null, level.start);
+
+    // soccer: the match ball and how many goals this level asks for
+    this.goals = 0;
+    this.goalsNeeded = level.ballSpawn ? goals : 0;
+    this.soccer = level.ballSpawn ? this.spawnSoccerBall() : null;
+  }
+
+  emit(type, at) {
+    this.events.push(type);
+    if (at) this.spots.push({ type, x: at.x, y: at.y });
+  }
+
+  // level clock; respawning winds it back to the checkpoint's time
+  elapsed() {
+    return (this.ticks - this.rewound) * TICK_MS;
+  }
+  collected() {
+    return this.coins.filter(c => c.col).length;
+  }
+  points() {
+    return this.score.berries + this.score.combo + this.score.time;
+  }
+  // is the flag live yet? (goals scored and berries collected)
+  flagOpen() {
+    return this.goals >= this.goalsNeeded && this.collected() >= this.berriesNeeded;
+  }
+  // what this level asks for and how far along it is, for the HUD and the
+  // end screens: [{ id: survive|goals|berries|flag, have, need, done }]
+  objectives() {
+    const list = [];
+    if (this.surviveMs) {
+      list.push({ id: 'survive', have: Math.min(this.elapsed(), this.surviveMs), need: this.surviveMs });
+    } else {
+      if (this.goalsNeeded) list.push({ id: 'goals', have: this.goals, need: this.goalsNeeded });
+      if (this.berriesNeeded) list.push({ id: 'berries', have: this.collected(), need: this.berriesNeeded });
+      if (this.level.flag) list.push({ id: 'flag', have: this.reason === 'flag' ? 1 : 0, need: 1 });
+    }
+    return list.map(o => ({ ...o, done: o.have >= o.need }));
+  }
+  end(status, reason) {
+    this.status = status;
+    this.reason = reason;
+    if (status === 'win') this.players.forEach(p => p.act('victory'));
+  }
+  // current combo multiplier (1 once the combo window has passed)
+  multiplier() {
+    return this.ticks - this.lastBerry <= COMBO_WINDOW_MS / TICK_MS ? Math.min(this.chain, COMBO_MAX) : 1;
+  }
+
+  step(bits) {
+    this.events = [];
+    this.spots = [];
+    if (this.status) return this.events;
+    this.ticks++;
+    if (this.elapsed() >= this.timeLimit) {
+      this.end('over', 'time');
+      return this.events;
+    }
+
+    const s = TILE_SIZE;
+    for (const m of this.movers) m.update();
+    this.players.forEach((p, i) => p.update(unpackInput(bits >> (i * PLAYER_BITS)), this));
+    if (this.players.length > 1) this.leash();
+
+    // coin collection (one shared pool in co-op)
+    for (const c of this.coins) {
+      if (!c.col && this.players.some(p => Math.hypot(p.pos.x - c.x, p.pos.y - c.y) < s * 0.8)) {
+        this.collect(c);
+      }
+    }
+
+    // reaching a checkpoint saves where we are, our berries and the clock
+    this.checkpoints.forEach((cp, i) => {
+      if (cp !== this.checkpoint.cp && this.players.some(p =>
+          Math.hypot(p.pos.x - cp.x * s, p.pos.y - cp.y * s) < s)) {
+        this.split(`checkpoint:${i + 1}`);
+        this.checkpoint = this.snapshot(cp, cp);
+        this.emit('checkpoint');
+      }
+    });
+
+    // update balls & collisions
+    for (const b of this.balls) b.update(this);
+    if (this.soccer) this.updateSoccer();
+    this.landBalls();
+    this.handleBallCollisions();
+    this.balls = this.balls.filter(b => !b.expired());
+
+    // enemies patrol; a kicked ball knocks them out
+    for (const e of this.enemies) {
+      e.update(this.level);
+      for (const b of this.allBalls()) {
+        if (e.hitBy(b)) {
+          e.defeat();
+          b.vel.x *= -1;
+          b.vel.y = -Math.abs(b.vel.y) * 0.5;
+          this.emit('ko', b.pos);
+          break;
+        }
+      }
+    }
+    this.enemies = this.enemies.filter(e => !e.gone);
+
+    // lose a life (lava and enemies can't hurt while blinking)
+    const hurt = this.players.filter(p => {
+      if (p.invuln > 0) p.invuln--;
+      return p.pos.y > this.level.h * s ||
+        (!p.invuln && this.touchLava(p)) ||
+        (!p.invuln && this.enemies.some(e => e.touches(p)));
+    });
+    if (hurt.length) {
+      for (const p of hurt) {
+        this.emit('hurt', { x: p.pos.x + p.w / 2, y: p.pos.y + p.h / 2 });
+        p.act('hurt');
+      }
+      this.lives = Math.max(0, this.lives - hurt.length);
+      if (!this.lives) this.end('over', 'lives');
+      // co-op: a fallen player rejoins their partner; both down → checkpoint
+      else if (hurt.length < this.players.length) hurt.forEach(p => this.rejoin(p));
+      else this.respawn();
+      return this.events;
+    }
+
+    // win condition: staying alive long enough on survive levels; otherwise
+    // goals and berries first, then the flag (if any). In co-op either
+    // player reaching it wins for both
+    if (this.surviveMs) {
+      if (this.elapsed() >= this.surviveMs) {
+        this.end('win', 'survive');
+        this.split('finish');
+      }
+      return this.events;
+    }
+    const flag = this.level.flag;
+    if (!this.flagOpen()) return this.events;
+    if (!flag || this.players.some(p => Math.hypot(p.pos.x - flag.x * s, p.pos.y - flag.y * s) < s)) {
+      this.end('win', flag ? 'flag' : 'goals');
+      this.split('finish');
+      if (Number.isFinite(this.timeLimit)) {
+        const left = Math.max(0, this.timeLimit - this.elapsed());
+        this.score.time = Math.ceil(left / 1000) * TIME_BONUS_PER_S;
+      }
+    }
+    return this.events;
+  }
+
+  // a berry: its points (times the combo multiplier) and its effect
+  collect(c) {
+    const kind = this.berryKinds[c.kind];
+    c.col = true;
+    this.chain = this.ticks - this.lastBerry <= COMBO_WINDOW_MS / TICK_MS ? this.chain + 1 : 1;
+    this.lastBerry = this.ticks;
+    this.score.berries += kind.points;
+    this.score.combo += kind.points * (this.multiplier() - 1);
+    if (kind.lives) {
+      this.lives += kind.lives;
+      this.bonusLives += kind.lives;
+    }
+    // only against a limit (trials and survive runs keep their true time),
+    // and never back past the start of the run
+    if (kind.time && Number.isFinite(this.timeLimit)) this.rewound += Math.min(Math.round(kind.time / TICK_MS), this.ticks - this.rewound);
+    this.emit('coin', { x: c.x + TILE_SIZE / 2, y: c.y + TILE_SIZE / 2 });
+    const n = this.collected();
+    if (n % SPLIT_BERRIES === 0) this.split(`berries:${n}`);
+  }
+
+  // note the time of a milestone, once
+  split(id) {
+    if (this.splits.some(sp => sp.id === id)) return;
+    this.splits.push({ id, t: this.elapsed() });
+    this.emit('split');
+  }
+
+  snapshot(cp, at) {
+    return {
+      cp,
+      x: at.x,
+      y: at.y,
+      coins: this.coins.map(c => c.col),
+      score: { ...this.score },
+      splits: this.splits.length,
+      bonusLives: this.bonusLives,
+      clock: this.ticks - this.rewound
+    };
+  }
+
+  // everyone back to the last checkpoint, with its berries, score and clock;
+  // lives from berries it puts back go too, which can end the run
+  respawn() {
+    const c = this.checkpoint;
+    this.lives = Math.max(0, this.lives - (this.bonusLives - c.bonusLives));
+    this.bonusLives = c.bonusLives;
+    if (!this.lives) {
+      this.end('over', 'lives');
+      return;
+    }
+    for (const p of this.players) this.place(p, c.x * TILE_SIZE, c.y * TILE_SIZE);
+    this.coins.forEach((coin, i) => { coin.col = c.coins[i]; });
+    this.score = { ...c.score };
+    this.chain = 0;
+    this.lastBerry = -Infinity;
+    this.rewound = this.ticks - c.clock;
+    this.splits.length = c.splits; // milestones past the checkpoint count again
+  }
+
+  // co-op: drop a fallen player back in on top of their partner
+  rejoin(p) {
+    const partner = this.players.find(o => o !== p);
+    this.place(p, partner.pos.x, partner.pos.y);
+  }
+
+  place(p, x, y) {
+    p.pos.set(x, y);
+    p.prev.set(p.pos);
+    p.vel.set(0, 0);
+    p.g = false;
+    p.ride = null;
+    p.invuln = RESPAWN_INVULN_TICKS;
+  }
+
+  // co-op: both players must fit on screen, so the screen edge stops them
+  leash() {
+    const [a, b] = this.players;
+    const span = this.span - a.w;
+    if (Math.abs(a.pos.x - b.pos.x) <= span) return;
+    const mid = (a.prev.x + b.prev.x) / 2;
+    for (const p of this.players) {
+      const x = clamp(p.pos.x, mid - span / 2, mid + span / 2);
+      if (x !== p.pos.x) {
+        p.pos.x = x;
+        p.vel.x = 0;
+      }
+    }
+  }
+
+  // balls falling onto a moving platform bounce off it and ride along
+  landBalls() {
+    for (const b of this.allBalls()) {
+      if (b.vel.y < 0) continue;
+      for (const m of this.movers) {
+        if (m.landed(b.pos.x - b.r, b.r * 2, b.prev.y + b.r, b.pos.y + b.r)) {
+          b.pos.y = m.top - b.r;
+          b.pos.x += m.delta.x;
+          b.vel.x = mix(b.vel.x, m.delta.x, 0.5); // friction picks up its speed
+          b.bounceY(this);
+          break;
+        }
+      }
+    }
+  }
+
+  allBalls() {
+    return this.soccer ? [...this.balls, this.soccer] : this.balls;
+  }
+
+  spawnSoccerBall() {
+    const at = this.level.ballSpawn;
+    return Ball.soccer((at.x + 0.5) * TILE_SIZE, (at.y + 0.5) * TILE_SIZE);
+  }
+
+  // kick the match ball when it's close, otherwise launch a toy ball
+  kick(p) {
+    p.act('kick');
+    const px = p.pos.x + p.w / 2;
+    const py = p.pos.y + p.h / 2;
+    const s = this.soccer;
+    if (s && Math.hypot(px - s.pos.x, py - s.pos.y) < TILE_SIZE * KICK_REACH) {
+      const ang = p.flip ? -3 * Math.PI / 4 : -Math.PI / 4;
+      s.vel = Vec.fromAngle(ang).setMag(p.stats.kickPower);
+      this.emit('kick');
+      return;
+    }
+    if (this.balls.length < MAX_BALLS) {
+      this.balls.push(new Ball(px, py, !p.flip, TOY_BALL_SPEED * p.stats.kickPower / KICK_POWER));
+      this.emit('kick');
+    }
+  }
+
+  updateSoccer() {
+    const s = this.soccer;
+    s.update(this);
+
+    // dribble: players are solid boxes the ball bounces off softly
+    for (const p of this.players) {
+      const cx = clamp(s.pos.x, p.pos.x, p.pos.x + p.w);
+      const cy = clamp(s.pos.y, p.pos.y, p.pos.y + p.h);
+      const d = Math.hypot(s.pos.x - cx, s.pos.y - cy);
+      if (d < s.r) {
+        const n = d > 0
+          ? new Vec(s.pos.x - cx, s.pos.y - cy).div(d)
+          : new Vec(p.flip ? -1 : 1, 0);
+        s.pos.add(Vec.mult(n, s.r - d));
+        const rel = Vec.sub(s.vel, p.vel).dot(n);
+        if (rel < 0) s.vel.sub(Vec.mult(n, (1 + DRIBBLE_BOUNCE) * rel));
+      }
+    }
+
+    // goal scored, or ball lost off the map / in lava → back to the spot
+    const tx = Math.floor(s.pos.x / TILE_SIZE);
+    const ty = Math.floor(s.pos.y / TILE_SIZE);
+    const t = this.level.tiles[ty]?.[tx];
+    if (t === 'goal') {
+      this.goals++;
+      this.emit('goal', s.pos);
+      this.soccer = this.spawnSoccerBall();
+    } else if (s.pos.y > this.level.h * TILE_SIZE || t === 'lava') {
+      this.soccer = this.spawnSoccerBall();
+    }
+  }
+
+  touchLava(p) {
+    const s = TILE_SIZE;
+    const l = Math.floor(p.pos.x / s);
+    const r = Math.floor((p.pos.x + p.w) / s);
+    const t = Math.floor(p.pos.y / s);
+    const b = Math.floor((p.pos.y + p.h) / s);
+    for (let y = t; y <= b; y++) {
+      for (let x = l; x <= r; x++) {
+        if (this.level.tiles[y]?.[x] === 'lava') return true;
+      }
+    }
+    return false;
+  }
+
+  handleBallCollisions() {
+    for (const [a, b] of nearbyPairs(this.allBalls())) {
+      const d = Vec.dist(a.pos, b.pos);
+      if (d < a.r + b.r && d > 0) {
+        const n = Vec.sub(b.pos, a.pos).setMag(1);
+        const overlap = a.r + b.r - d;
+        a.pos.add(Vec.mult(n, -overlap / 2));
+        b.pos.add(Vec.mult(n, overlap / 2));
+        const rel = Vec.sub(a.vel, b.vel).dot(n);
+        if (rel > 0) {
+          const impulse = rel * 0.9;
+          a.vel.sub(Vec.mult(n, impulse));
+          b.vel.add(Vec.mult(n, impulse));
+          if ((this.ticks - a.lastSound) * TICK_MS > BOUNCE_COOLDOWN) {
+            a.lastSound = b.lastSound = this.ticks;
+            this.emit('bounce', { x: (a.pos.x + b.pos.x) / 2, y: (a.pos.y + b.pos.y) / 2 });
+          }
+        }
+      }
+    }
+  }
+}
+
+/* ══════════ Map Parse ══════════ */
+// Bitmap levels: exact RGB → cell kind (anything else is empty)
+const MAP_COLORS = {
+  0x000000: 'platform',
+  0xFF00FF: 'lava',
+  0x11FF00: 'coin',
+  0xEAFF4D: 'flag',
+  0xFF0000: 'start',
+  0x0000FF: 'enemy',
+  0x00FFFF: 'ballSpawn',
+  0xFF8800: 'goal',
+  0x808080: 'oneway',
+  0x8000FF: 'moverX',
+  0x0080FF: 'moverY',
+  0x00FF80: 'checkpoint',
+  0xFF66CC: 'coinRare',
+  0xFFCC00: 'coinGolden',
+  0x66CCFF: 'coinTime'
+};
+const TILE_KINDS   = ['platform', 'lava', 'goal', 'oneway']; // kinds stored in tiles[][]
+const MOVER_KINDS  = ['moverX', 'moverY'];            // runs of cells → one moving platform
+const OBJECT_KINDS = [
+  'coin', 'coinRare', 'coinGolden', 'coinTime',
+  'flag', 'start', 'enemy', 'ballSpawn', 'mover', 'checkpoint'
+]; // kinds placed as objects
+// berry cells → BERRY_KINDS key (Tiled berries can say so with a "berry" property)
+const BERRY_CELLS = { coin: 'common', coinRare: 'rare', coinGolden: 'golden', coinTime: 'time' };
+
+/* any level source (map bitmap, Tiled JSON, editor grid) → what a Game runs:
+   { w, h, tiles, coins, flag, start, enemies, ballSpawn, movers,
+     checkpoints, errors }. Coins ({ x, y, kind, props }) are in world px,
+   everything else in tiles. */
+function parseLevel(src) {
+  const level = readLevel(src);
+  const w = level.w, h = level.h;
+  const out = {
+    w,
+    h,
+    tiles: Array.from({ length: h }, () => Array(w).fill('empty')),
+    coins: [],
+    flag: null,
+    start: null,
+    enemies: [],     // { x, y, props }
+    ballSpawn: null, // soccer ball spawn { x, y }
+    movers: [],      // { path, start, w, speed, loop }
+    checkpoints: [], // { x, y }
+    errors: level.errors
+  };
+
+  // cells of an object kind (bitmap pixels, Tiled tiles) become objects too
+  const objects = [...level.objects];
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const kind = level.cells[y][x];
+      if (TILE_KINDS.includes(kind)) out.tiles[y][x] = kind;
+      else if (OBJECT_KINDS.includes(kind)) objects.push({ kind, x, y, props: {} });
+    }
+  }
+  out.movers = findCellMovers(level.cells, out.tiles);
+
+  for (const o of objects) {
+    if      (o.kind === 'start') out.start = { x: o.x, y: o.y };
+    else if (o.kind in BERRY_CELLS) {
+      const kind = o.props.berry || BERRY_CELLS[o.kind];
+      if (!BERRY_KINDS[kind]) out.errors.push(`unknown berry kind "${kind}" at ${o.x},${o.y}`);
+      else out.coins.push({ x: o.x * TILE_SIZE, y: o.y * TILE_SIZE, kind, props: o.props });
+    }
+    else if (o.kind === 'flag')  out.flag = { x: o.x, y: o.y, props: o.props };
+    else if (o.kind === 'enemy') out.enemies.push({ x: o.x, y: o.y, props: o.props });
+    else if (o.kind === 'ballSpawn') out.ballSpawn = { x: o.x, y: o.y };
+    else if (o.kind === 'checkpoint') out.checkpoints.push({ x: o.x, y: o.y });
+    else if (o.kind === 'mover') {
+      out.movers.push({
+        path: o.path || [{ x: o.x, y: o.y }],
+        w: o.props.width ?? 2,
+        speed: o.props.speed,
+        loop: o.props.loop ?? o.closed
+      });
+    }
+  }
+
+  const errors = out.errors;
+  const hasGoal = out.tiles.some(row => row.includes('goal'));
+  if (!out.start) errors.push('missing player start');
+  if (!out.flag && !hasGoal) errors.push('missing flag (or goal)');
+  if (hasGoal && !out.ballSpawn) errors.push('goal without a ball spawn');
+  if (out.ballSpawn && !hasGoal) errors.push('ball spawn without a goal');
+  return out;
+}
+
+/* Horizontal runs of moverX / moverY cells become one platform each that
+   travels until the next non-empty tile in its direction, then back. */
+function findCellMovers(cells, tiles) {
+  const found = [];
+  const h = cells.length, w = cells[0].length;
+  const clear = (x, y) => tiles[y]?.[x] === 'empty';
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const kind = cells[y][x];
+      if (!MOVER_KINDS.includes(kind) || cells[y][x - 1] === kind) continue;
+      let n = 1;
+      while (cells[y][x + n] === kind) n++;
+
+      let a, b;
+      if (kind === 'moverX') {
+        let l = x, r = x + n - 1;
+        while (clear(l - 1, y)) l--;
+        while (clear(r + 1, y)) r++;
+        a = { x: l, y };
+        b = { x: r - n + 1, y };
+      } else {
+        const rowClear = ty => [...Array(n).keys()].every(i => clear(x + i, ty));
+        let t = y, btm = y;
+        // keep a row of headroom for whoever rides it
+        while (t > 1 && rowClear(t - 1) && rowClear(t - 2)) t--;
+        while (btm < h - 1 && rowClear(btm + 1)) btm++;
+        a = { x, y: t };
+        b = { x, y: btm };
+      }
+      found.push({ path: [a, b], start: { x, y }, w: n, loop: false });
+    }
+  }
+  return found;
+}
+
+/* any MAPS source → { w, h, cells, objects, errors } */
+function readLevel(src) {
+  return src?.layers || src?.cells ? readLevelData(src) : readBitmapLevel(src);
+}
+
+function readLevelData(json) {
+  if (json.cells) {
+    return {
+      w: json.cells[0].length,
+      h: json.cells.length,
+      cells: json.cells.map(row => [...row]),
+      objects: [],
+      errors: []
+    };
+  }
+  return readTiledLevel(json);
+}
+
+/* map bitmap (a p5.Image, or anything with width, height and RGBA
+   pixels) → { w, h, cells, objects, errors } */
+function readBitmapLevel(imgObj) {
+  const w = imgObj.width, h = imgObj.height;
+  imgObj.loadPixels?.();
+  const cells = Array.from({ length: h }, () => Array(w).fill('empty'));
+
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const idx = (y * w + x) * 4;
+      const hex =
+        (imgObj.pixels[idx] << 16) |
+        (imgObj.pixels[idx + 1] << 8) |
+        imgObj.pixels[idx + 2];
+      cells[y][x] = MAP_COLORS[hex] || 'empty';
+    }
+  }
+  return { w, h, cells, objects: [], errors: [] };
+}
+
+/* Tiled .tmj export → { w, h, cells, objects, errors }
+   Tileset tiles and objects name their kind with a "kind" property or their
+   class/type; object properties are kept as metadata. */
+function readTiledLevel(json) {
+  const errors = [];
+  const w = json.width, h = json.height;
+  const cells = Array.from({ length: h }, () => Array(w).fill('empty'));
+  const objects = [];
+
+  if (json.infinite) errors.push('infinite maps are not supported');
+  if (!(w > 0 && h > 0)) {
+    errors.push('map has no width/height');
+    return { w: 1, h: 1, cells: [['empty']], objects, errors };
+  }
+
+  // gid → kind from the embedded tilesets
+  const kinds = {};
+  for (const ts of json.tilesets || []) {
+    if (ts.source) {
+      errors.push(`external tileset "${ts.source}" — embed it before exporting`);
+      continue;
+    }
+    for (const t of ts.tiles || []) {
+      const kind = tiledProps(t).kind || t.class || t.type;
+      if (kind) kinds[ts.firstgid + t.id] = kind;
+    }
+  }
+
+  const tw = json.tilewidth, th = json.tileheight;
+  const unknown = new Set();
+  for (const layer of flattenLayers(json.layers)) {
+    if (layer.type === 'tilelayer') {
+      const data = tiledLayerData(layer, errors);
+      data.forEach((raw, i) => {
+        const gid = raw & 0x0FFFFFFF; // strip flip flags
+        if (!gid) return;
+        const kind = kinds[gid];
+        if (![...TILE_KINDS, ...OBJECT_KINDS, ...MOVER_KINDS].includes(kind)) {
+          unknown.add(gid);
+          return;
+        }
+        const x = i % layer.width + (layer.x || 0);
+        const y = Math.floor(i / layer.width) + (layer.y || 0);
+        if (cells[y]?.[x] !== undefined) cells[y][x] = kind;
+      });
+    } else if (layer.type === 'objectgroup') {
+      for (const o of layer.objects || []) {
+        const props = tiledProps(o);
+        const kind = props.kind || o.class || o.type || kinds[(o.gid || 0) & 0x0FFFFFFF];
+        if (!OBJECT_KINDS.includes(kind)) {
+          errors.push(`unknown object "${kind || o.name || o.id}" in layer "${layer.name}"`);
+          continue;
+        }
+        // tile objects are anchored bottom-left, everything else top-left
+        const oy = o.gid ? o.y - o.height : o.y;
+        const obj = { kind, x: Math.floor(o.x / tw), y: Math.floor(oy / th), props };
+        // mover paths: polyline/polygon points are relative to the object
+        const pts = o.polyline || o.polygon;
+        if (pts) obj.path = pts.map(p => ({ x: (o.x + p.x) / tw, y: (o.y + p.y) / th }));
+        obj.closed = !!o.polygon;
+        objects.push(obj);
+      }
+    }
+  }
+  unknown.forEach(gid => errors.push(`unknown tile id ${gid}`));
+
+  return { w, h, cells, objects, errors };
+}
+
+function flattenLayers(layers = []) {
+  return layers.flatMap(l => l.type === 'group' ? flattenLayers(l.layers) : [l]);
+}
+
+function tiledProps(o) {
+  const props = {};
+  for (const p of o.properties || []) props[p.name] = p.value;
+  return props;
+}
+
+function tiledLayerData(layer, errors) {
+  if (Array.isArray(layer.data)) return layer.data;
+  if (layer.encoding === 'base64' && !layer.compression) {
+    const bin = atob(layer.data);
+    const out = [];
+    for (let i = 0; i < bin.length; i += 4) {
+      out.push(
+        (bin.charCodeAt(i) |
+        (bin.charCodeAt(i + 1) << 8) |
+        (bin.charCodeAt(i + 2) << 16) |
+        (bin.charCodeAt(i + 3) << 24)) >>> 0
+      );
+    }
+    return out;
+  }
+  errors.push(`layer "${layer.name}" must use CSV or uncompressed base64 data`);
+  return [];
+}
+
+/* ─── Node (tests) ─── */
+if (typeof module !== 'undefined') {
+  module.exports = {
+    GAME_TIME_LIMIT, TICK_MS, TILE_SIZE, LIVES, MAX_BALLS, RESPAWN_INVULN_TICKS, LEASH_TILES, DEFAULT_STATS,
+    BERRY_KINDS, COMBO_WINDOW_MS, COMBO_MAX, TIME_BONUS_PER_S, SPLIT_BERRIES,
+    INPUT_BITS, PLAYER_BITS, packInput, unpackInput,
+    Vec, Ball, nearbyPairs, Enemy, Mover, Player, Game,
+    MAP_COLORS, parseLevel, readLevel
+  };
+}
@@ -12,23 +12,99 @@
       • DVD logos spawn safely & bounce with sound
       • X-key (or ⚽️ button) launches gravity-bouncing balls (ball.png)
       • Touch overlay & tap-to-start for mobile
+      • levels from map bitmaps or Tiled JSON (.tmj) with validation
+      • level editor: paint cells, test-play, export the map bitmap
+      • fixed 60 Hz simulation, interpolated rendering
+      • per-tick input recording, replays and a ghost of the best run
+      • best berries / times saved per level and character
+      • campaign: levels unlock in MAPS order, Win offers the next level
+      • named input actions over keyboard, gamepad & touch; rebindable
+      • patrolling enemies (blue map pixels) – touch = game over, balls KO them
+      • soccer levels: dribble the match ball into the goal to win
+      • one-way (jump-through) and moving platforms that carry riders
+      • checkpoints and lives: dying respawns at the last checkpoint
+      • local co-op: Aidan & Dune together, one keyboard or keyboard + pad
+      • pause menu (P / ESC) with master, music & SFX volume and mute
+      • fixed tile size and a 2D camera, so maps can be taller than the screen
+      • static tiles cached in offscreen chunks; only what's on screen is drawn
+      • balls collide as circles against every tile they touch (no tunnelling)
+        and find each other through a spatial grid
+      • asset manifest + loading screen; missing files fall back and are listed
+      • headless simulation core (core.js): this file only draws it and plays
+        its sounds; Node tests with `node --test test/`
+      • character roster (CHARACTERS): name, logo, sprite sheets and movement
+        stats per kid; Select lays out however many are registered
+      • berry kinds (common, rare, golden = extra life, time = +5 s), combos
+        for quick pickups, a time bonus and a score breakdown on Win
+      • per-map rules in MAPS: time limit (or none), berries needed before
+        the flag, collect-all and survive-N-seconds levels
+      • time trial (T on Level Select): a stopwatch instead of the countdown
+        and split times compared against your best
+      • parallax layers per map: scroll factors, tiling, drifting clouds,
+        behind or in front of the tiles
+      • particles and screen effects: berry sparkles, jump/land dust, ball
+        puffs, a death animation before Over, shake and flashes; "Reduced
+        effects" in the pause menu (defaults to the OS reduce-motion choice)
+      • sprite sheet metadata (frame size, anchor) and player animations
+        with rising/falling, landing, kicking, hurt and victory states
 */
 
-/* ─── Global constants ─── */
-const GAME_TIME_LIMIT = 120000;
-const GRAVITY = 0.8;
-const MOVE_SPEED = 4;
-const JUMP_STRENGTH = 20;
-const TERMINAL_VEL = 25;
+/* ─── Global constants ───
+   (physics, rules and TILE_SIZE live with the simulation in core.js) */
 const logoScale = 0.125;
-const MAX_BALLS = 100;
-const BOUNCE_COOLDOWN = 3000;
+const VIEW_ROWS = 20;           // at most this many rows on screen (big windows zoom in)
+const MIN_TILE_PX = 32;         // tiles never drawn smaller (small screens scroll instead)
+const CAMERA_BAND = [0.35, 0.65]; // the camera moves in y once the player leaves this band
+const CHUNK_TILES = 16;         // tiles per side of a cached tile chunk
+const ASSET_TIMEOUT_MS = 15000; // a file still loading after this counts as failed
+const MAX_FRAME_MS = 250;       // longest frame we catch up on (tab switches)
+const PARTICLE_POOL = 400;      // live particles at most; the oldest get reused
+const DEATH_TICKS = 60;         // death animation before the Over screen
+const VICTORY_TICKS = 60;       // victory animation before the Win screen
+const NOTICE_MS = 5000;         // how long a ⚠ notice stays on screen
 
 /* ─── Mobile helpers ─── */
 const IS_TOUCH = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
 const touchKeys = { left: false, right: false, jump: false, kick: false };
 
-/* ─── Level registry ─── */
+/* ─── Per-tick input (packed with packInput, see core.js) ─── */
+// player: undefined in solo, 0 / 1 for one half of a co-op split
+function readInput(player) {
+  const input = {};
+  for (const action in INPUT_BITS) input[action] = inputMap.isDown(action, player);
+  if (player !== 1) touchKeys.kick = false; // ⚽️ is one kick per tap
+  return input;
+}
+
+// Game events (see core.js) → the sound each one plays
+const EVENT_SFX = {
+  jump: 'jump', kick: 'kick', coin: 'coin', checkpoint: 'coin',
+  bounce: 'bounce', ko: 'bonk', hurt: 'bonk', goal: 'win'
+};
+
+/* ─── Level registry ───
+   Each entry gives either `mapImg` (colour-coded bitmap) or `level`
+   (Tiled .tmj export), plus its music and tile textures.
+   Maps with a goal are soccer levels: score `goals` (default 1) with the
+   match ball, then touch the flag if the map has one.
+   Moving platforms come from moverX/moverY cells (travel to the nearest
+   obstacle and back) or Tiled "mover" objects with a polyline path.
+   Maps can be any size: tiles are TILE_SIZE px and the camera scrolls
+   both ways, so falling off the bottom of the map is what kills.
+   Every file named here is part of the asset manifest (see Assets).
+   Key order is the campaign order; an optional `unlockBerries` asks for
+   that many berries on the previous level before this one unlocks, and
+   `lives` overrides the default LIVES.
+   Berries come in kinds (BERRY_KINDS in core.js: common, rare, golden,
+   time) painted with their own map colours; `berries` changes a kind's
+   points or effect for one level, e.g. { golden: { points: 500 } }.
+   Rules (enforced by Game, shown on the HUD and Win/Over): `timeLimit` in
+   ms (default GAME_TIME_LIMIT, null = no limit), `berriesNeeded` before
+   the flag counts ('all' for collect-everything levels), or `survive`:
+   seconds to stay alive, which wins on its own. The shipped maps keep
+   the defaults; a new level opts in, e.g. { ..., berriesNeeded: 40 }.
+   `layers` are the parallax backgrounds (see Parallax layers); without
+   them the map's tiles.background scrolls with the tiles. */
 const MAPS = {
   MAP1: {
     mapImg: 'assets/map1.png',
@@ -38,7 +114,11 @@ const MAPS = {
       lava:     'assets/lava.png',
       coin:     'assets/coin.png',
       background: 'assets/startupBackground.png'
-    }
+    },
+    layers: [
+      { file: 'assets/startupBackground.png', factor: 0.2 },
+      { file: 'assets/clouds.png', factor: 0.4, autoScroll: -12, y: 0.05, height: 0.25, alpha: 0.8 }
+    ]
   },
   MAP2: {
     mapImg: 'assets/map2.png',
@@ -48,7 +128,11 @@ const MAPS = {
       lava:     'assets/lava2.png',
       coin:     'assets/coin2.png',
       background: 'assets/sky2.png'
-    }
+    },
+    layers: [
+      { file: 'assets/sky2.png', factor: 0.15 },
+      { file: 'assets/clouds.png', factor: 0.35, autoScroll: -8, y: 0.1, height: 0.2, alpha: 0.5 }
+    ]
   },
   MAP3: {
     mapImg: 'assets/map3.png',
@@ -58,58 +142,169 @@ const MAPS = {
       lava:     'assets/lava3.png',
       coin:     'assets/coin3.png',
       background: 'assets/sky3.png'
-    }
+    },
+    layers: [
+      { file: 'assets/sky3.png', factor: 0.25 },
+      // low mist drifting past in front of everything
+      { file: 'assets/clouds.png', factor: 1.4, autoScroll: -20, y: 0.72, height: 0.3, alpha: 0.35, front: true }
+    ]
+  }
+};
+
+/* ─── Character roster ───
+   Everyone Select offers, in order. The logo is stored as img.<key>Logo and
+   each sprite sheet as img.<key>_<sheet>. A sheet is `frames` frames of
+   `size` [w, h] px in a row, drawn `drawWidth` player widths wide whatever
+   its size; `anchor` is the point of a frame, as fractions of it, that sits
+   at the middle of the player's feet (SHEET_DEFAULTS fill in what's left
+   out). `anims` maps the Player's animation states (idle,
+   walk, rise, fall, land, kick, hurt, victory) to frames of a sheet: see
+   DEFAULT_ANIMS, which covers any state a character leaves out.
+   Stats are per character, anything left out uses DEFAULT_STATS (core.js):
+   speed, jump, airControl, kickPower. The first two characters are the
+   co-op pair. */
+const CHARACTERS = {
+  aidan: {
+    name: 'Aidan',
+    logo: 'assets/aidanLogo.png',
+    sheets: {
+      idle: { file: 'assets/aidan_idle.png', frames: 2 },
+      walk: { file: 'assets/aidan_walk.png', frames: 8 },
+      jump: { file: 'assets/aidan_jump.png', frames: 1 }
+    },
+    stats: { speed: 4, jump: 20, airControl: 1, kickPower: 12 }
+  },
+  dune: {
+    name: 'Dune',
+    logo: 'assets/duneLogo.png',
+    sheets: {
+      idle: { file: 'assets/dune_idle.png', frames: 2 },
+      walk: { file: 'assets/dune_walk.png', frames: 8 },
+      jump: { file: 'assets/dune_jump.png', frames: 1 }
+    },
+    stats: { speed: 4, jump: 20, airControl: 1, kickPower: 12 }
   }
 };
+const SHEET_DEFAULTS = { size: [64, 64], drawWidth: 1.3, anchor: [0.5, 0.85] };
+
+/* Animation state → { sheet, from (first frame, default 0), frames (default
+   the rest of the sheet), fps (0 = hold the frame), loop (false = play once
+   and hold the last frame), tint }. The kids' sheets only have idle, walk
+   and jump art, so the other states borrow those frames for now. */
+const DEFAULT_ANIMS = {
+  idle:    { sheet: 'idle', fps: 6 },
+  walk:    { sheet: 'walk', fps: 18 },
+  rise:    { sheet: 'jump' },
+  fall:    { sheet: 'walk', from: 5, frames: 1 },
+  land:    { sheet: 'idle', from: 1, frames: 1 },
+  kick:    { sheet: 'walk', from: 2, frames: 3, fps: 20, loop: false },
+  hurt:    { sheet: 'jump', tint: [255, 120, 120] },
+  victory: { sheet: 'idle', fps: 10 }
+};
+
+/* ─── Asset manifest ───
+   Files the game needs besides the MAPS entries, keyed by the name they
+   are stored under (img.<name>, sfx.<name>). */
+const UI_IMAGES = {
+  startupBackground:   'assets/startupBackground.png',
+  selectionBackground: 'assets/selectionBackground.png',
+  platform: 'assets/platform.png',
+  lava:     'assets/lava.png',
+  flag:     'assets/flag.png',
+  coin:     'assets/coin.png',
+  ball:     'assets/ball.png',
+  lose:     'assets/lose.png',
+  winbackground: 'assets/winbackground.png'
+};
+const SFX_FILES = {
+  jump:       'assets/jump.wav',
+  coin:       'assets/coin.wav',
+  bonk:       'assets/collide.wav',
+  kick:       'assets/kick.wav',
+  bounce:     'assets/bounce.wav',
+  losebounce: 'assets/losebounce.wav',
+  win:        'assets/win.wav'
+};
+const MENU_MUSIC = 'assets/audioLoop.wav';
 
 /* ─── Assets & globals ─── */
 let img = {};    // all loaded images
 let sfx = {};    // sfx.jump, sfx.coin, sfx.bonk, sfx.kick, sfx.bounce, sfx.losebounce, sfx.win
 let music;       // menu/startup music (audioLoop.wav)
-let mapImg;      // current map image (bitmap)
-let tileSize, mapW, mapH;
-let tiles = [], coins = [], flagPos = null, playerStart;
-let totalCoins = 0;
 let sceneManager;
+let save;        // persistent progress, see loadSave()
+let inputMap;    // action bindings over keyboard / gamepad / touch
+let assetWarnings = []; // files that failed to load (a fallback stands in)
+let notice = null;      // { msg, until }: a ⚠ line over any scene, see showNotice()
+let assetsLoaded = false;
+
+/* ══════════ Assets ══════════ */
+/* The whole manifest as a flat list of
+   { type: 'image' | 'sound' | 'json', path, store(asset), fallback() }.
+   Loading fills it in; a fallback stands in for anything that fails. */
+function assetManifest() {
+  const list = [];
+  // every image is also img[path], which is how MAPS textures are looked up
+  const image = (path, store, fallback = placeholderImage) =>
+    list.push({ type: 'image', path, store: a => { img[path] = a; store?.(a); }, fallback });
+  const sound = (path, store) =>
+    list.push({ type: 'sound', path, store, fallback: silentSound });
+
+  for (const [name, path] of Object.entries(UI_IMAGES)) image(path, a => { img[name] = a; });
+  for (const [char, spec] of Object.entries(CHARACTERS)) {
+    image(spec.logo, a => { img[`${char}Logo`] = a; });
+    for (const [anim, sheet] of Object.entries(spec.sheets)) {
+      image(sheet.file, a => { img[`${char}_${anim}`] = a; });
+    }
+  }
 
-/* ══════════ preload ══════════ */
-function preload() {
-  // 1) Core UI / sprite sheets / logos
-  [
-    'startupBackground', 'selectionBackground',
-    'aidanLogo', 'duneLogo',
-    'platform', 'lava', 'flag', 'coin', 'ball',
-    'lose', 'winbackground',
-    'dune_idle', 'dune_walk', 'dune_jump',
-    'aidan_idle', 'aidan_walk', 'aidan_jump'
-  ].forEach(name => {
-    img[name] = loadImage(`assets/${name}.png`);
-  });
-
-  // 2) Map‐specific assets: map bitmap + level music + tile textures
+  // per map: bitmap or Tiled JSON (no fallback: Play reports it), music, tiles
   for (const spec of Object.values(MAPS)) {
-    spec.img = loadImage(spec.mapImg);       // load map bitmap
-    spec.musicObj = loadSound(spec.music);    // load level music
+    if (spec.level) list.push({ type: 'json', path: spec.level, store: a => { spec.data = a; }, fallback: () => null });
+    else image(spec.mapImg, a => { spec.img = a; }, () => null);
+    sound(spec.music, a => { spec.musicObj = a; });
+    const paths = [...Object.values(spec.tiles), ...(spec.layers || []).map(l => l.file)];
+    for (const path of paths) {
+      if (!list.some(e => e.path === path)) image(path);
+    }
+  }
 
-    // load each tile image into img[path]
-    for (const path of Object.values(spec.tiles)) {
-      if (!img[path]) {
-        img[path] = loadImage(path);
-      }
+  sound(MENU_MUSIC, a => { music = a; });
+  for (const [name, path] of Object.entries(SFX_FILES)) sound(path, a => { sfx[name] = a; });
+  return list;
+}
+
+// magenta/black checkerboard, the classic "texture missing" look
+function placeholderImage() {
+  const s = 16;
+  const out = createImage(s, s);
+  out.loadPixels();
+  for (let y = 0; y < s; y++) {
+    for (let x = 0; x < s; x++) {
+      const on = (floor(x / 8) + floor(y / 8)) % 2 === 0;
+      out.pixels.set(on ? [255, 0, 255, 255] : [0, 0, 0, 255], (y * s + x) * 4);
     }
   }
+  out.updatePixels();
+  return out;
+}
 
-  // 3) Menu / startup looping audio
-  music = loadSound('assets/audioLoop.wav');
+// stands in for a sound file that failed: every call is a no-op
+function silentSound() {
+  const noop = () => {};
+  return {
+    play: noop, stop: noop, pause: noop, loop: noop,
+    setLoop: noop, setVolume: noop, connect: noop, disconnect: noop,
+    isPlaying: () => false
+  };
+}
 
-  // 4) SFX
-  sfx.jump         = loadSound('assets/jump.wav');
-  sfx.coin         = loadSound('assets/coin.wav');
-  sfx.bonk         = loadSound('assets/collide.wav');
-  sfx.kick         = loadSound('assets/kick.wav');
-  sfx.bounce       = loadSound('assets/bounce.wav');
-  sfx.losebounce   = loadSound('assets/losebounce.wav');
-  sfx.win          = loadSound('assets/win.wav');
+// called by Loading once every asset has loaded or fallen back
+function assetsReady() {
+  assetsLoaded = true;
+  setupAudio();
+  // loop menu music (its level comes from the music bus)
+  music.setLoop(true);
 }
 
 /* ══════════ setup ══════════ */
@@ -119,22 +314,44 @@ function setup() {
   noSmooth();
   textAlign(CENTER, CENTER);
 
+  save = loadSave();
+  inputMap = new InputMap();
   sceneManager = new SceneManager();
-  sceneManager.change('start');
+  sceneManager.change('loading');
+
+  // drop a saved replay (.json) onto the page to watch it
+  window.addEventListener('dragover', e => e.preventDefault());
+  window.addEventListener('drop', e => {
+    e.preventDefault();
+    e.dataTransfer.files[0]?.text().then(txt => {
+      const run = JSON.parse(txt);
+      if (typeof run?.v === 'number' && run.v !== RUN_VERSION) throw new Error('replay is from another version');
+      if (run?.v !== RUN_VERSION || !MAPS[run.level]) throw new Error('not a replay file');
+      // checked here, as Play can't back out of a half-built run
+      if (run.char !== 'coop' && !CHARACTERS[run.char]) throw new Error(`unknown character "${run.char}"`);
+      if (!Array.isArray(run.inputs)) throw new Error('replay has no inputs');
+      if (!assetsLoaded) throw new Error('still loading, try again in a moment');
+      sceneManager.change('play', { char: run.char, level: run.level, replay: run });
+    }).catch(err => {
+      console.error(`Replay error: ${err.message}`);
+      showNotice(`Replay error: ${err.message}`);
+    });
+  });
+}
 
-  // loop & quiet menu music initially
-  if (music) {
-    music.setLoop(true);
-    music.setVolume(0.6);
-  }
+function showNotice(msg) {
+  notice = { msg, until: millis() + NOTICE_MS };
 }
 
-function draw()               { sceneManager.updateAndDraw(); }
+function draw() {
+  for (const b of inputMap.poll()) sceneManager.padPressed(b);
+  sceneManager.updateAndDraw();
+}
 function keyPressed()         { sceneManager.keyPressed?.(keyCode); }
 function mousePressed()       { sceneManager.mousePressed?.(); }
+function mouseWheel(e)        { sceneManager.mouseWheel?.(e); }
 function windowResized() {
   resizeCanvas(windowWidth, windowHeight);
-  if (mapImg) parseMap();
   sceneManager.onResize?.();
 }
 
@@ -157,12 +374,15 @@ function stopAllMusic() {
 class SceneManager {
   constructor() {
     this.scenes = {
+      loading: new Loading(this),
       start:  new Start(this),
       select: new Select(this),
       level:  new LevelSelect(this),
       play:   new Play(this),
       over:   new Over(this),
-      win:    new Win(this)
+      win:    new Win(this),
+      editor: new Editor(this),
+      controls: new Controls(this)
     };
     this.current = null;
   }
@@ -175,15 +395,47 @@ class SceneManager {
   updateAndDraw() {
     this.current?.update?.();
     this.current?.draw?.();
+    if (notice && millis() < notice.until) {
+      push();                  // same ⚠ line as Start's asset warning, above it
+      textAlign(CENTER, CENTER);
+      textSize(16);
+      noStroke();
+      fill(255, 200, 0);
+      text(`⚠ ${notice.msg}`, width / 2, height * 0.92);
+      pop();
+    }
   }
+  // bound keys / buttons fire their action first; scenes still see the raw input
   keyPressed(k) {
-    if (k === 27) {            // ESC → back to Start
-      this.change('start');
+    const scene = this.current;
+    if (scene?.capturing) {    // e.g. Controls waiting for a new binding
+      scene.keyPressed(k);
+      return;
+    }
+    const action = inputMap.keyAction(k);
+    if (action) this.action(action);
+    if (this.current === scene) scene?.keyPressed?.(k);
+  }
+  padPressed(b) {
+    if (this.current?.capturing) {
+      this.current.padPressed?.(b);
       return;
     }
-    this.current?.keyPressed?.(k);
+    const action = inputMap.padAction(b);
+    const scene = this.current;
+    if (action) this.action(action);
+    if (this.current === scene) scene?.padPressed?.(b);
+  }
+  action(a) {
+    if (a === 'back') {        // ESC → back to Start (scenes may override)
+      if (this.current?.escape) this.current.escape();
+      else this.change('start');
+      return;
+    }
+    this.current?.action?.(a);
   }
   mousePressed()  { this.current?.mousePressed?.(); }
+  mouseWheel(e)   { this.current?.mouseWheel?.(e); }
   onResize()      { this.current?.onResize?.(); }
 }
 
@@ -239,215 +491,462 @@ class Logo {
   }
 }
 
+/* One animation: frames `from`‥`from + frames - 1` of a sheet (see
+   CHARACTERS), drawn `scale` screen px per sheet px with its anchor at
+   (x, y). The caller keeps the clock: t is ms since the animation began. */
 class Sprite {
-  constructor(sheet, frames, scale) {
+  constructor(sheet, { size, anchor, from = 0, frames, fps = 0, loop = true, tint: tintRGB }, scale) {
     this.sheet = sheet;
-    this.frames = frames;
+    this.size = size;
+    this.anchor = anchor;
+    this.from = from;
+    this.frames = max(1, frames);
+    this.fps = fps;
+    this.loop = loop;
+    this.tint = tintRGB;
     this.scale = scale;
-    this.f = 0;
   }
-  draw(x, y, flip, speed) {
+  frameAt(t) {
+    const n = floor(t * this.fps / 1000);
+    return this.from + (this.loop ? n % this.frames : min(n, this.frames - 1));
+  }
+  draw(x, y, flip, t) {
     if (!this.sheet) return;
-    this.f = (this.f + speed) % this.frames;
-    const sz = this.sheet.height;
+    const [fw, fh] = this.size;
+    const w = fw * this.scale, h = fh * this.scale;
     push();
-    if (flip) {
-      translate(x + sz * this.scale, y);
-      scale(-1, 1);
-    } else {
-      translate(x, y);
-    }
+    translate(x, y);
+    if (flip) scale(-1, 1);
+    if (this.tint) tint(...this.tint);
     image(
       this.sheet,
-      0, 0, sz * this.scale, sz * this.scale,
-      floor(this.f) * sz, 0, sz, sz
+      -this.anchor[0] * w, -this.anchor[1] * h, w, h,
+      this.frameAt(t) * fw, 0, fw, fh
     );
     pop();
   }
 }
 
-/* ══════════ Ball ══════════ */
-class Ball {
-  constructor(x, y, dirRight) {
-    this.pos = createVector(x, y);
-    const ang = dirRight ? -PI / 4 : -3 * PI / 4; // 45°
-    this.vel = p5.Vector.fromAngle(ang).setMag(8);
-    this.r = tileSize * 0.4;
-    this.spin = random(-0.2, 0.2);
-    this.a = 0;
-    this.birth = millis();
-    this.lastSound = 0;
+/* ══════════ Drawing the simulation ══════════ */
+/* Balls, enemies, movers and players are core.js objects; these draw them
+   between their last two ticks (alpha ∈ [0, 1)). */
+function tweenPos(o, alpha) {
+  return createVector(lerp(o.prev.x, o.pos.x, alpha), lerp(o.prev.y, o.pos.y, alpha));
+}
+// screen px per world px: VIEW_ROWS fill the height, tiles never under MIN_TILE_PX
+function viewZoom() {
+  return max(height / (VIEW_ROWS * TILE_SIZE), MIN_TILE_PX / TILE_SIZE);
+}
+
+function drawBall(b, alpha = 1) {
+  const p = tweenPos(b, alpha);
+  push();
+  translate(p.x, p.y);
+  rotate(b.a);
+  image(img.ball, -b.r, -b.r, b.r * 2, b.r * 2);
+  pop();
+}
+
+function drawEnemy(e, alpha = 1) {
+  const p = tweenPos(e, alpha);
+  drawEnemyShape(p.x, p.y, e.w, e.h, e.vel.x < 0, e.ko / ENEMY_KO_TICKS);
+}
+
+// a grumpy purple berry; squash ∈ [0, 1] flattens and fades it
+function drawEnemyShape(x, y, w, h, flip, squash = 0) {
+  const sh = h * (1 - squash * 0.7);
+  push();
+  translate(x + w / 2, y + h - sh / 2);
+  if (flip) scale(-1, 1);
+  noStroke();
+  fill(120, 40, 160, 255 * (1 - squash));
+  ellipse(0, 0, w, sh);
+  fill(60, 160, 60, 255 * (1 - squash));
+  triangle(-w * 0.15, -sh / 2, w * 0.15, -sh / 2, 0, -sh / 2 - h * 0.2);
+  fill(255, 255 * (1 - squash));
+  ellipse(w * 0.18, -sh * 0.1, w * 0.22, sh * 0.22);
+  fill(0, 255 * (1 - squash));
+  ellipse(w * 0.22, -sh * 0.08, w * 0.1, sh * 0.1);
+  stroke(0, 255 * (1 - squash));
+  strokeWeight(2);
+  line(w * 0.06, -sh * 0.28, w * 0.3, -sh * 0.2); // angry brow
+  pop();
+}
+
+// goal mouth: posts, crossbar and a net
+function drawGoalShape(x, y, s) {
+  push();
+  stroke(255, 180);
+  strokeWeight(1);
+  for (let i = 1; i < 4; i++) {
+    line(x + (s * i) / 4, y, x + (s * i) / 4, y + s);
+    line(x, y + (s * i) / 4, x + s, y + (s * i) / 4);
+  }
+  stroke(255);
+  strokeWeight(max(2, s * 0.08));
+  noFill();
+  rect(x, y, s, s);
+  pop();
+}
+
+// checkpoint post: grey until reached, then its pennant turns green
+function drawCheckpointShape(x, y, s, active) {
+  push();
+  noStroke();
+  fill(200);
+  rect(x + s * 0.2, y, s * 0.1, s);
+  fill(active ? color(60, 220, 90) : color(150));
+  triangle(x + s * 0.3, y, x + s * 0.3, y + s * 0.4, x + s * 0.85, y + s * 0.2);
+  pop();
+}
+
+// berries other than common ones are the map's coin texture, tinted
+const BERRY_TINTS = { rare: [255, 120, 220], golden: [255, 210, 0], time: [110, 200, 255] };
+function drawBerry(kind, tex, x, y, s) {
+  if (!tex) return;
+  push();
+  if (BERRY_TINTS[kind]) tint(...BERRY_TINTS[kind]);
+  image(tex, x, y, s, s);
+  pop();
+  if (kind === 'time') {
+    fill(255);
+    noStroke();
+    textSize(s * 0.45);
+    text('⏱', x + s * 0.8, y + s * 0.2);
+  }
+}
+
+// a moving platform: its texture, with a hazard stripe marking it as moving
+function drawMover(m, alpha, tex) {
+  const p = tweenPos(m, alpha);
+  for (let i = 0; i < m.w / TILE_SIZE; i++) {
+    if (tex) image(tex, p.x + i * TILE_SIZE, p.y, TILE_SIZE, m.h);
   }
-  update() {
-    this.vel.y += GRAVITY * 0.5;
-    const next = p5.Vector.add(this.pos, this.vel);
+  noStroke();
+  fill(255, 220, 0);
+  rect(p.x, p.y + m.h - 4, m.w, 4);
+}
 
-    // horizontal walls
-    if (next.x - this.r < 0 || next.x + this.r > mapW * tileSize) {
-      this.vel.x *= -1;
-      if (millis() - this.lastSound > BOUNCE_COOLDOWN) {
-        this.lastSound = millis();
-        sfx.bounce?.play();
+/* ══════════ Tile cache ══════════ */
+/* Platform, lava and ledge tiles never change during a level, so they are
+   drawn once into offscreen chunks at screen scale; a frame then only
+   blits the chunks the camera can see. Rebuild when the zoom changes. */
+class TileCache {
+  constructor(level, textures) {
+    this.level = level;
+    this.textures = textures; // { platform, lava }
+    this.chunks = [];         // { g, x, y } in world px; empty chunks are skipped
+  }
+  build(zoom) {
+    this.dispose();
+    const rows = ceil(this.level.h / CHUNK_TILES), cols = ceil(this.level.w / CHUNK_TILES);
+    for (let cy = 0; cy < rows; cy++) {
+      for (let cx = 0; cx < cols; cx++) {
+        const g = this.render(cx * CHUNK_TILES, cy * CHUNK_TILES, zoom);
+        if (g) this.chunks.push({ g, x: cx * CHUNK_TILES * TILE_SIZE, y: cy * CHUNK_TILES * TILE_SIZE });
       }
     }
-
-    // platform bounce
-    const tx = floor(next.x / tileSize);
-    const vy = this.vel.y > 0 ? next.y + this.r : next.y - this.r;
-    const ty = floor(vy / tileSize);
-    if (tiles[ty]?.[tx] === 'platform') {
-      this.vel.y *= -0.85;
-      if (millis() - this.lastSound > BOUNCE_COOLDOWN) {
-        this.lastSound = millis();
-        sfx.bounce?.play();
+  }
+  render(x0, y0, zoom) {
+    const { w, h, tiles } = this.level;
+    const s = TILE_SIZE * zoom;
+    let g = null;
+    for (let y = y0; y < min(y0 + CHUNK_TILES, h); y++) {
+      for (let x = x0; x < min(x0 + CHUNK_TILES, w); x++) {
+        const t = tiles[y][x];
+        const tex = t === 'oneway' ? this.textures.platform : this.textures[t];
+        if (!tex) continue;
+        if (!g) {
+          g = createGraphics(ceil(CHUNK_TILES * s), ceil(CHUNK_TILES * s));
+          g.pixelDensity(1); // keeps chunks small on high-DPI phones
+          g.noSmooth();
+        }
+        g.image(tex, (x - x0) * s, (y - y0) * s, s, t === 'oneway' ? s * 0.3 : s);
       }
     }
-
-    this.pos.add(this.vel);
-    this.a += this.spin;
+    return g;
   }
-  draw() {
-    push();
-    translate(this.pos.x, this.pos.y);
-    rotate(this.a);
-    image(img.ball, -this.r, -this.r, this.r * 2, this.r * 2);
-    pop();
+  // call inside the camera transform; view is the visible world rect
+  draw(view) {
+    const size = CHUNK_TILES * TILE_SIZE;
+    for (const c of this.chunks) {
+      if (c.x + size > view.x && c.x < view.x + view.w &&
+          c.y + size > view.y && c.y < view.y + view.h) {
+        image(c.g, c.x, c.y, size, size);
+      }
+    }
+  }
+  dispose() {
+    this.chunks.forEach(c => c.g.remove());
+    this.chunks = [];
   }
 }
 
-/* ══════════ Player ══════════ */
-class Player {
-  constructor(x, y, sheets) {
-    this.pos = createVector(x, y);
-    this.vel = createVector(0, 0);
-    this.w = tileSize * 0.8;
-    this.h = tileSize * 0.9;
-    this.g = false;
-    this.flip = false;
-    this.walkIntent = false;
-    this.spriteScale = 1.3; // Increase this value to make sprites bigger
+/* ══════════ Parallax layers ══════════ */
+/* A MAPS entry's `layers`, back to front, drawn in screen space:
+     file
+     factor      sideways scroll per camera px: 0 = fixed, < 1 far away,
+                 1 = with the tiles, > 1 foreground (default 1)
+     factorY     the same vertically (default 0: skies don't bob)
+     repeat      'x' (default), 'xy' or 'none'
+     autoScroll  drift in screen px per second, e.g. clouds (< 0 = left)
+     y, height   top and height as fractions of the screen (0, 1); the
+                 width follows the image's aspect
+     alpha       0‥1 (default 1)
+     front       drawn over the tiles and sprites instead of behind */
+const LAYER_DEFAULTS = { factor: 1, factorY: 0, repeat: 'x', autoScroll: 0, y: 0, height: 1, alpha: 1, front: false };
+
+function mapLayers(spec) {
+  const layers = spec.layers || (spec.tiles.background ? [{ file: spec.tiles.background }] : []);
+  return layers.map(l => ({ ...LAYER_DEFAULTS, ...l, tex: img[l.file] }));
+}
 
-    this.idle = new Sprite(sheets.idle, 2, (this.w / 64) * this.spriteScale);
-    this.walk = new Sprite(sheets.walk, 8, (this.w / 64) * this.spriteScale); // Apply spriteScale to walk animation
-    this.jump = new Sprite(sheets.jump, 1, (this.w / 64) * this.spriteScale); // Apply spriteScale to jump animation
+// one layer for the camera ({ x, y, zoom }), `secs` into the level
+function drawLayer(l, cam, secs) {
+  if (!l.tex?.width) return;
+  const h = height * l.height;
+  const w = l.tex.width * h / l.tex.height;
+  const ox = -cam.x * cam.zoom * l.factor + l.autoScroll * secs;
+  const oy = height * l.y - cam.y * cam.zoom * l.factorY;
+  const xs = l.repeat === 'none' ? [ox] : tileSteps(ox, w, width);
+  const ys = l.repeat === 'xy' ? tileSteps(oy, h, height) : [oy];
+  push();
+  if (l.alpha < 1) tint(255, l.alpha * 255);
+  for (const y of ys) {
+    for (const x of xs) image(l.tex, x, y, w, h);
   }
-  update() {
-    let dir = 0;
-    if (keyIsDown(65)  || keyIsDown(LEFT_ARROW)  || touchKeys.left)  dir = -1;
-    if (keyIsDown(68)  || keyIsDown(RIGHT_ARROW) || touchKeys.right) dir = 1;
-    const wantJump = keyIsDown(32) || keyIsDown(UP_ARROW) || touchKeys.jump;
-    const wantKick = keyIsDown(88) || touchKeys.kick;
-
-    this.walkIntent = dir !== 0;
-    this.vel.x = lerp(this.vel.x, dir * MOVE_SPEED, 0.2);
-    if (dir !== 0) this.flip = dir < 0;
-
-    if (wantJump && this.g) {
-      this.vel.y = -JUMP_STRENGTH;
-      this.g = false;
-      sfx.jump?.play();
-    }
-
-    if (wantKick) {
-      touchKeys.kick = false;
-      if (this.scene.balls.length < MAX_BALLS) {
-        const bx = this.pos.x + this.w / 2;
-        const by = this.pos.y + this.h / 2;
-        this.scene.balls.push(new Ball(bx, by, !this.flip));
-        sfx.kick?.play();
-      }
-    }
+  pop();
+}
+
+// where copies `step` apart, lined up with `start`, go to cover 0‥size
+function tileSteps(start, step, size) {
+  const out = [];
+  for (let p = (start % step + step) % step - step; p < size; p += step) out.push(p);
+  return out;
+}
 
-    this.vel.y += GRAVITY;
-    this.vel.y = constrain(this.vel.y, -TERMINAL_VEL, TERMINAL_VEL);
+/* ══════════ Effects ══════════ */
+/* What game events look like where they happened (Game.spots): a burst of
+   particles, plus optional screen shake (px) and flash (colour). Angles are
+   radians with y down, so π‥2π is the upper half. */
+const UPWARDS = [Math.PI, 2 * Math.PI];
+const EVENT_FX = {
+  coin:       { n: 10, color: [255, 230, 120], speed: 3, life: 24, size: 5 },
+  checkpoint: { n: 16, color: [120, 255, 160], speed: 3, life: 30, size: 6 },
+  jump:       { n: 6, color: [210, 200, 180], speed: 1.5, life: 16, size: 6, angle: UPWARDS },
+  land:       { n: 8, color: [210, 200, 180], speed: 2, life: 18, size: 6, angle: UPWARDS },
+  bounce:     { n: 5, color: [255, 255, 255], speed: 2, life: 12, size: 5 },
+  ko:         { n: 14, color: [255, 140, 80], speed: 4, life: 26, size: 6, shake: 4 },
+  hurt:       { n: 24, color: [255, 90, 0], speed: 5, life: 40, size: 7, gravity: 0.15, shake: 10, flash: [255, 0, 0] },
+  goal:       { n: 30, color: [255, 255, 255], speed: 6, life: 40, size: 6, gravity: 0.1, flash: [255, 255, 255] }
+};
 
-    this.pos.x += this.vel.x;
-    this.resolveX();
+/* Particles live in a fixed pool, so a busy level makes no garbage */
+class Particles {
+  constructor(size) {
+    this.pool = Array.from({ length: size }, () => ({ life: 0 }));
+    this.next = 0;
+  }
+  // `n` particles flying out of (x, y) at up to `speed` px per tick
+  burst(x, y, { n, color, speed, life, size, gravity = 0, angle = [0, TWO_PI] }) {
+    for (let i = 0; i < n; i++) {
+      const p = this.pool[this.next];
+      this.next = (this.next + 1) % this.pool.length;
+      const a = random(angle[0], angle[1]);
+      const v = random(0.3, 1) * speed;
+      Object.assign(p, { x, y, vx: cos(a) * v, vy: sin(a) * v, gravity, life, max: life, size, color });
+    }
+  }
+  update() {
+    for (const p of this.pool) {
+      if (p.life <= 0) continue;
+      p.life--;
+      p.x += p.vx;
+      p.y += p.vy;
+      p.vy += p.gravity;
+    }
+  }
+  draw() {
+    noStroke();
+    for (const p of this.pool) {
+      if (p.life <= 0) continue;
+      const k = p.life / p.max;
+      fill(...p.color, 255 * k);
+      circle(p.x, p.y, p.size * (0.5 + k * 0.5));
+    }
+  }
+}
 
-    this.pos.y += this.vel.y;
-    this.resolveY();
+/* Play's effects: particles in the world, shake and flash on the screen.
+   shake() and flash() can be called for anything; reduced effects turns
+   both off and thins the particles out. Updated per tick, so pausing
+   freezes them too. */
+class Effects {
+  constructor() {
+    this.particles = new Particles(PARTICLE_POOL);
+    this.shaking = 0;   // px
+    this.tint = null;   // flash colour
+    this.fade = 0;      // flash alpha
+  }
+  event(spot) {
+    const fx = EVENT_FX[spot.type];
+    if (!fx) return;
+    this.particles.burst(spot.x, spot.y, reducedEffects() ? { ...fx, n: ceil(fx.n / 4) } : fx);
+    if (fx.shake) this.shake(fx.shake);
+    if (fx.flash) this.flash(fx.flash);
+  }
+  shake(px) {
+    if (!reducedEffects()) this.shaking = max(this.shaking, px);
+  }
+  flash(rgb, alpha = 120) {
+    if (reducedEffects()) return;
+    this.tint = rgb;
+    this.fade = alpha;
+  }
+  update() {
+    this.particles.update();
+    this.shaking = this.shaking > 0.3 ? this.shaking * 0.85 : 0;
+    this.fade = max(0, this.fade - 8);
+  }
+  // where shake puts the camera this frame, in screen px
+  offset() {
+    return { x: random(-1, 1) * this.shaking, y: random(-1, 1) * this.shaking };
+  }
+  drawWorld() {
+    this.particles.draw();
   }
+  drawScreen() {
+    if (!this.fade) return;
+    noStroke();
+    fill(...this.tint, this.fade);
+    rect(0, 0, width, height);
+  }
+}
 
-  resolveX() {
-    const top    = floor((this.pos.y + this.h * 0.25) / tileSize);
-    const bottom = floor((this.pos.y + this.h * 0.75) / tileSize);
-    const leftT  = floor(this.pos.x / tileSize);
-    const rightT = floor((this.pos.x + this.w) / tileSize);
+/* ══════════ Player sprites ══════════ */
+// 'coop' plays the first two characters together; anything else is one
+const COOP_CHARS = Object.keys(CHARACTERS).slice(0, 2);
+function playerChars(char) {
+  return char === 'coop' ? COOP_CHARS : [char];
+}
 
-    for (let ty = top; ty <= bottom; ty++) {
-      if (this.vel.x > 0 && tiles[ty]?.[rightT] === 'platform') {
-        this.pos.x = rightT * tileSize - this.w - 0.01;
-        this.vel.x = 0;
-      }
-      if (this.vel.x < 0 && tiles[ty]?.[leftT] === 'platform') {
-        this.pos.x = (leftT + 1) * tileSize + 0.01;
-        this.vel.x = 0;
-      }
+/* A character's animations, sized to a player's box (players and ghosts
+   both draw through this). Each animation restarts when the state changes. */
+class PlayerSprites {
+  constructor(char) {
+    const spec = CHARACTERS[char];
+    this.w = TILE_SIZE * 0.8;   // the Player's collision box
+    this.h = TILE_SIZE * 0.9;
+    this.anims = {};
+    for (const [state, anim] of Object.entries({ ...DEFAULT_ANIMS, ...spec.anims })) {
+      const sheet = { ...SHEET_DEFAULTS, ...spec.sheets[anim.sheet] };
+      const frames = anim.frames ?? sheet.frames - (anim.from || 0);
+      const scale = this.w * sheet.drawWidth / sheet.size[0]; // screen px per sheet px
+      this.anims[state] = new Sprite(img[`${char}_${anim.sheet}`], { ...sheet, ...anim, frames }, scale);
+    }
+    this.state = null;
+    this.t = 0; // ms in this state
+  }
+  // x, y: top-left of the collision box; `anim` is the Player's animation
+  // state (ghosts only have g / walkIntent, which pick one for them)
+  draw(x, y, { anim, g, walkIntent, flip }) {
+    const state = anim || (!g ? 'rise' : walkIntent ? 'walk' : 'idle');
+    if (state !== this.state) {
+      this.state = state;
+      this.t = 0;
+    } else {
+      this.t += min(deltaTime, MAX_FRAME_MS);
     }
+    this.anims[state].draw(x + this.w / 2, y + this.h, flip, this.t);
   }
+}
 
-  resolveY() {
-    if (this.vel.y > 0) {
-      const yTile = floor((this.pos.y + this.h) / tileSize);
-      const left  = floor(this.pos.x / tileSize);
-      const right = floor((this.pos.x + this.w - 1) / tileSize);
-      for (let tx = left; tx <= right; tx++) {
-        if (tiles[yTile]?.[tx] === 'platform') {
-          this.pos.y = yTile * tileSize - this.h - 0.01;
-          this.vel.y = 0;
-          this.g = true;
-          break;
-        }
-      }
-    } else if (this.vel.y < 0) {
-      const yTile = floor(this.pos.y / tileSize);
-      const left  = floor(this.pos.x / tileSize);
-      const right = floor((this.pos.x + this.w - 1) / tileSize);
-      for (let tx = left; tx <= right; tx++) {
-        if (tiles[yTile]?.[tx] === 'platform') {
-          this.pos.y = (yTile + 1) * tileSize + 0.01;
-          this.vel.y = 0;
-          break;
+/* ══════════ Scenes ══════════ */
+/* Loads the asset manifest with a progress bar. Files that fail (or time
+   out) get a fallback and are listed; any key or click then continues. */
+class Loading {
+  constructor(sm) {
+    this.sm = sm;
+  }
+  enter() {
+    this.entries = assetManifest();
+    this.done = 0;
+    this.ready = false;
+    const load = { image: loadImage, sound: loadSound, json: loadJSON };
+    for (const e of this.entries) {
+      let settled = false;
+      const finish = (asset, err) => {
+        if (settled) return;
+        settled = true;
+        if (err) {
+          asset = e.fallback();
+          assetWarnings.push(`${e.path} (${err})`);
+          console.warn(`Asset failed: ${e.path}: ${err}`);
         }
-      }
+        e.store(asset);
+        this.done++;
+      };
+      setTimeout(() => finish(null, 'timed out'), ASSET_TIMEOUT_MS);
+      load[e.type](e.path, a => finish(a), err => finish(null, err?.message || 'not found'));
     }
   }
-
+  update() {
+    if (this.ready || this.done < this.entries.length) return;
+    this.ready = true;
+    assetsReady();
+    if (!assetWarnings.length) this.sm.change('start');
+  }
   draw() {
-    // Calculate sprite offset to keep the collision box in the same place
-    const spriteOffset = (this.w * (this.spriteScale - 1)) / 2;
-
-    if (!this.g) {
- this.jump.draw(this.pos.x - spriteOffset, this.pos.y + 5 - spriteOffset, this.flip, 0);
-    } else if (this.walkIntent) {
- this.walk.draw(this.pos.x - spriteOffset, this.pos.y + 5 - spriteOffset, this.flip, 0.3);
-    } else {
- this.idle.draw(this.pos.x - spriteOffset, this.pos.y + 5 - spriteOffset, this.flip, 0.1);
+    background(0);
+    noStroke();
+    fill(255);
+    textSize(28);
+    text(this.ready ? 'Loaded with problems' : 'Loading…', width / 2, height * 0.3);
+
+    const w = min(500, width * 0.7), x = width / 2 - w / 2, y = height * 0.38;
+    fill(255, 50);
+    rect(x, y, w, 20, 10);
+    fill(255, 102, 204);
+    rect(x, y, w * this.done / max(1, this.entries.length), 20, 10);
+    fill(255);
+    textSize(16);
+    text(`${this.done} / ${this.entries.length}`, width / 2, y + 40);
+
+    // what failed, and what stands in for it
+    fill(255, 200, 0);
+    textSize(14);
+    assetWarnings.slice(0, 12).forEach((msg, i) => text(`⚠ ${msg}`, width / 2, y + 80 + i * 20));
+    if (assetWarnings.length > 12) text(`…and ${assetWarnings.length - 12} more`, width / 2, y + 80 + 12 * 20);
+    if (this.ready) {
+      fill(255);
+      textSize(18);
+      text('Missing images show as a checkerboard, missing sounds are silent.', width / 2, height * 0.86);
+      text('Press any key or click to continue', width / 2, height * 0.91);
     }
-
-    // Optional: Draw the collision box for debugging
-    // noFill();
-    // stroke(255, 0, 0);
-    // rect(this.pos.x, this.pos.y, this.w, this.h);
+  }
+  keyPressed() {
+    if (this.ready) this.sm.change('start');
+  }
+  action() {
+    this.keyPressed();
+  }
+  mousePressed() {
+    this.keyPressed();
   }
 }
 
-/* ══════════ Scenes ══════════ */
 class Start {
   constructor(sm) {
     this.sm = sm;
   }
   enter() {
-    this.logos = [
-      new Logo(img.aidanLogo),
-      new Logo(img.duneLogo)
-    ];
+    this.logos = Object.keys(CHARACTERS).map(c => new Logo(img[`${c}Logo`]));
   }
   update() {
     this.logos.forEach(l => l.update());
-    if (this.logos[0].collides(this.logos[1])) {
-      this.logos[0].bounce(this.logos[1]);
-    }
+    this.logos.forEach((a, i) => {
+      for (const b of this.logos.slice(i + 1)) if (a.collides(b)) a.bounce(b);
+    });
   }
   draw() {
     image(img.startupBackground, 0, 0, width, height);
@@ -477,18 +976,33 @@ class Start {
     textSize(24);
     text("Turn off Silent mode for sound 🎧", width / 2, height * 0.38);
     text("Goal: Collect berries before the timer runs out", width / 2, height * 0.42);
-    text("R = Restart Level", width / 2, height * 0.48);
-    text("X = Launch Ball", width / 2, height * 0.52);
-    text("Arrow Keys = Move/Jump", width / 2, height * 0.56);
+    text(`${inputMap.describe('restart')} = Restart Level`, width / 2, height * 0.48);
+    text(`${inputMap.describe('kick')} = Launch Ball`, width / 2, height * 0.52);
+    text(
+      `${inputMap.describe('left', 'keys')} · ${inputMap.describe('right', 'keys')} = Move · ` +
+      `${inputMap.describe('jump', 'keys')} = Jump`,
+      width / 2, height * 0.56
+    );
+    text("C = Controls & gamepad", width / 2, height * 0.6);
+    text("P / ESC = Pause & volume", width / 2, height * 0.64);
+    if (assetWarnings.length) {
+      textSize(16);
+      fill(255, 200, 0);
+      const more = assetWarnings.length > 3 ? ` and ${assetWarnings.length - 3} more` : '';
+      text(`⚠ missing: ${assetWarnings.slice(0, 3).join(', ')}${more}`, width / 2, height * 0.96);
+    }
 
     colorMode(RGB);
     noStroke();
     this.logos.forEach(l => l.draw());
   }
-  keyPressed() {
+  keyPressed(k) {
     getAudioContext().resume();
     if (music && !music.isPlaying()) music.play();
-    this.sm.change('select');
+    this.sm.change(k === 67 ? 'controls' : 'select'); // C
+  }
+  action() {
+    this.keyPressed();
   }
   mousePressed() {
     this.keyPressed();
@@ -499,38 +1013,87 @@ class Select {
   constructor(sm) {
     this.sm = sm;
   }
+  // one portrait per registered character in a row, co-op below them
   enter() {
-    this.aBox = {
-      w: img.aidanLogo.width * logoScale * 0.6, // Use smaller width
-      h: img.aidanLogo.height * logoScale * 0.6 // Use smaller height
-    };
-    this.aBox.x = width * 0.25 - this.aBox.w / 2; // Center horizontally
-    this.aBox.y = height * 0.45 - this.aBox.h / 2; // Center vertically
+    this.chars = Object.keys(CHARACTERS);
+    const n = this.chars.length;
+    const slot = width / n;
+    this.boxes = {};
+    this.chars.forEach((c, i) => {
+      const logo = img[`${c}Logo`];
+      // the logo at its usual size, shrunk to fit when many share the row
+      const s = min(logoScale * 0.6, (slot * 0.8) / logo.width, (height * 0.3) / logo.height);
+      const w = logo.width * s, h = logo.height * s;
+      this.boxes[c] = { x: slot * (i + 0.5) - w / 2, y: height * 0.45 - h / 2, w, h };
+    });
 
-    this.dBox = {
-      w: this.aBox.w, // Same width as aidanLogo
-      h: this.aBox.h  // Same height as aidanLogo
-    };
-    this.dBox.x = width * 0.75 - this.dBox.w / 2; // Center horizontally
-    this.dBox.y = this.aBox.y; // Align vertically with aidanLogo
+    // both at once, below the portraits
+    this.order = [...this.chars];
+    if (COOP_CHARS.length === 2) {
+      const first = this.boxes[this.chars[0]];
+      const w = min(first.w, width * 0.4);
+      const h = min(90, first.h * 0.5);
+      this.boxes.coop = { x: width / 2 - w / 2, y: height * 0.78 - h / 2, w, h };
+      this.order.push('coop');
+    }
     this.hover = null;
+    this.mouse = null;
   }
   update() {
+    // the mouse only takes over the highlight when it moves
+    if (this.mouse?.x === mouseX && this.mouse?.y === mouseY) return;
+    this.mouse = { x: mouseX, y: mouseY };
     const inBox = b =>
       mouseX > b.x && mouseX < b.x + b.w &&
       mouseY > b.y && mouseY < b.y + b.h;
-    this.hover = inBox(this.aBox) ? 'aidan'
-               : inBox(this.dBox) ? 'dune'
-               : null;
+    this.hover = this.order.find(k => inBox(this.boxes[k])) || null;
     cursor(this.hover ? 'pointer' : 'default');
   }
+  action(a) {
+    const i = this.order.indexOf(this.hover);
+    if (a === 'left')  this.hover = this.order[max(0, i - 1)];
+    if (a === 'right') this.hover = this.order[min(this.order.length - 1, i + 1)];
+    if ((a === 'jump' || a === 'kick') && this.hover) this.mousePressed();
+  }
   draw() {
     image(img.selectionBackground, 0, 0, width, height);
     fill(255);
     textSize(32);
     text("Choose your character", width / 2, height * 0.25);
-    image(img.aidanLogo, this.aBox.x, this.aBox.y, this.aBox.w, this.aBox.h);
-    image(img.duneLogo, this.dBox.x, this.dBox.y, this.dBox.w, this.dBox.h);
+    for (const c of this.chars) {
+      const b = this.boxes[c];
+      const { name, stats } = CHARACTERS[c];
+      const st = { ...DEFAULT_STATS, ...stats };
+      image(img[`${c}Logo`], b.x, b.y, b.w, b.h);
+      fill(255);
+      textSize(22);
+      text(name, b.x + b.w / 2, b.y + b.h + 18);
+      textSize(13);
+      text(`speed ${st.speed} · jump ${st.jump} · kick ${st.kickPower}`, b.x + b.w / 2, b.y + b.h + 40);
+    }
+
+    const c = this.boxes.coop;
+    if (c) {
+      fill(0, 0, 0, 150);
+      rect(c.x, c.y, c.w, c.h, 10);
+      fill(255);
+      textSize(24);
+      text(COOP_CHARS.map(k => CHARACTERS[k].name.toUpperCase()).join(' + '), c.x + c.w / 2, c.y + c.h * 0.4);
+      textSize(14);
+      text('co-op', c.x + c.w / 2, c.y + c.h * 0.72);
+      const half = slot => ['jump', 'left', 'right', 'kick']
+        .map(a => keyName(inputMap.bindings.keys[a][slot]) || '—').join(' ');
+      text(`P1: ${half(0)}   ·   P2: ${half(1)} or gamepad`, width / 2, c.y + c.h + 20);
+    }
+
+    const box = this.boxes[this.hover];
+    if (box) {
+      noFill();
+      stroke(255, 102, 204);
+      strokeWeight(4);
+      rect(box.x, box.y, box.w, box.h, 10);
+      noStroke();
+    }
   }
   mousePressed() {
     if (this.hover) {
@@ -547,6 +1110,7 @@ class LevelSelect {
   }
   enter(data) {
     this.char  = data.char;
+    this.trial = !!data.trial; // time trial: picked levels start as one
 
     // Create a container for the level buttons
     this.levelButtonsContainer = createDiv('');
@@ -560,40 +1124,116 @@ class LevelSelect {
     this.levelButtonsContainer.style('gap', '20px'); // Add some spacing between buttons
  this.levelButtonsContainer.id('level-select-container'); // Add an ID for easy removal
 
+    // Campaign: continue from the first level not yet beaten
+    const camp = this.makeButton('CAMPAIGN', '▶');
+    createP('CAMPAIGN').parent(camp);
+    const campP = createP(`continue: ${campaignLevel()}`);
+    campP.style('font-size', '14px');
+    campP.style('margin', '0');
+    campP.parent(camp);
+    const startCampaign = () =>
+      this.sm.change('play', { char: this.char, level: campaignLevel(), campaign: true });
+    camp.mousePressed(startCampaign);
+    this.items = [{ key: 'CAMPAIGN', element: camp, activate: startCampaign }];
+
     const keys = Object.keys(MAPS);
     this.buttons = keys.map(key => {
       const spec = MAPS[key];
-      const buttonDiv = createDiv('');
-      buttonDiv.parent(this.levelButtonsContainer);
-      buttonDiv.style('text-align', 'center');
-      buttonDiv.style('cursor', 'pointer');
-      buttonDiv.style('padding', '10px');
-      buttonDiv.style('border-radius', '10px');
-      buttonDiv.style('background', 'rgba(0, 0, 0, 0.5)');
-      buttonDiv.style('color', '#fff');
-      buttonDiv.style('font-size', '20px');
-      buttonDiv.style('border', '2px solid transparent');
-      buttonDiv.mouseOver(() => this.hover = key);
-      buttonDiv.mouseOut(() => this.hover = null);
-      buttonDiv.mousePressed(() => this.sm.change('play', { char: this.char, level: key }));
-
-      const imgElement = createImg(spec.mapImg, key);
+      const unlocked = isUnlocked(key);
+      const buttonDiv = this.makeButton(key);
+      const activate = unlocked
+        ? () => this.sm.change('play', { char: this.char, level: key, trial: this.trial })
+        : null;
+      if (unlocked) {
+        buttonDiv.mousePressed(activate);
+      } else {
+        buttonDiv.style('opacity', '0.45');
+        buttonDiv.style('cursor', 'not-allowed');
+      }
+
+      const imgElement = createImg(spec.mapImg || spec.tiles.background, key);
       imgElement.style('width', '60px'); // Make images even smaller
       imgElement.style('height', '60px'); // Keep aspect ratio square-ish
       imgElement.parent(buttonDiv);
 
-      createP(key).parent(buttonDiv);
-      return { key: key, element: buttonDiv };
+      createP(unlocked ? key : `🔒 ${key}`).parent(buttonDiv);
+
+      // personal records for the chosen character, or what unlocks the level
+      const rec = levelRecord(key, this.char);
+      const trial = trialRecord(key, this.char);
+      const recText = !unlocked ? unlockNeeds(key)
+        : rec
+        ? `🫐 ${rec.bestBerries}/${rec.total}` +
+          (rec.completed ? ` · ⏱ ${formatTime(rec.bestTime)} ✓` : '') +
+          (trial ? ` · 🏁 ${formatTime(trial.time)}` : '')
+        : 'not played';
+      const recP = createP(recText);
+      recP.style('font-size', '14px');
+      recP.style('margin', '0');
+      recP.parent(buttonDiv);
+      return { key: key, element: buttonDiv, activate };
     });
 
-    this.tPlatform   = img[spec.tiles.platform];
-    this.tLava = img[spec.tiles.lava];
-    this.tCoin       = img[spec.tiles.coin];
-    this.tBackground = img[spec.tiles.background];
+    const trialDiv = this.makeButton('TRIAL', '⏱');
+    createP('TIME TRIAL').parent(trialDiv);
+    this.trialP = createP('');
+    this.trialP.style('font-size', '14px');
+    this.trialP.style('margin', '0');
+    this.trialP.parent(trialDiv);
+    const toggleTrial = () => this.toggleTrial();
+    trialDiv.mousePressed(toggleTrial);
+    this.showTrial();
+
+    const editDiv = this.makeButton('EDITOR', '✏️');
+    createP('EDITOR').parent(editDiv);
+    const openEditor = () => this.sm.change('editor', { char: this.char });
+    editDiv.mousePressed(openEditor);
+
+    this.items.push(
+      ...this.buttons,
+      { key: 'TRIAL', element: trialDiv, activate: toggleTrial },
+      { key: 'EDITOR', element: editDiv, activate: openEditor }
+    );
+  }
+  toggleTrial() {
+    this.trial = !this.trial;
+    this.showTrial();
+  }
+  showTrial() {
+    this.trialP.html(this.trial ? 'ON' : 'off');
+  }
+  keyPressed(k) {
+    if (k === 84) this.toggleTrial(); // T
+  }
+  // a styled tile in the button row; `label` is used for hover tracking
+  makeButton(label, icon = '') {
+    const buttonDiv = createDiv(icon);
+    buttonDiv.parent(this.levelButtonsContainer);
+    buttonDiv.style('text-align', 'center');
+    buttonDiv.style('cursor', 'pointer');
+    buttonDiv.style('padding', '10px');
+    buttonDiv.style('border-radius', '10px');
+    buttonDiv.style('background', 'rgba(0, 0, 0, 0.5)');
+    buttonDiv.style('color', '#fff');
+    buttonDiv.style('font-size', '20px');
+    buttonDiv.style('border', '2px solid transparent');
+    buttonDiv.mouseOver(() => this.hover = label);
+    buttonDiv.mouseOut(() => this.hover = null);
+    return buttonDiv;
+  }
+  // keyboard / gamepad: left/right move the highlight, jump or kick picks
+  action(a) {
+    const i = this.items.findIndex(it => it.key === this.hover);
+    if (a === 'left' || a === 'right') {
+      const step = a === 'left' ? -1 : 1;
+      const n = this.items.length;
+      this.hover = this.items[((i < 0 ? 0 : i + step) + n) % n].key;
+    }
+    if ((a === 'jump' || a === 'kick') && i >= 0) this.items[i].activate?.();
   }
   update() {
     // Update button styles based on hover
-    this.buttons.forEach(button => {
+    this.items.forEach(button => {
       if (this.hover === button.key) {
         button.element.style('border', '2px solid #ff66cc');
       } else {
@@ -612,12 +1252,11 @@ class LevelSelect {
     fill(255);
     textSize(34);
     text('Select Level', width / 2, height * 0.35);
-    // The buttons are now DOM elements, they draw themselves
-  }
-  mousePressed() {
-    if (this.hover) {
-      this.sm.change('play', { char: this.char, level: this.hover.key });
+    if (this.trial) {
+      textSize(20);
+      text('Time trial: no countdown, splits against your best', width / 2, height * 0.72);
     }
+    // The buttons are now DOM elements, they draw themselves (and handle clicks)
   }
 }
 
@@ -626,25 +1265,56 @@ class Play {
     this.sm = sm;
   }
   enter(data) {
-    this.char  = data.char;
-    this.level = data.level || 'MAP1';
+    this.char   = data.char;
+    this.level  = data.level || 'MAP1';
+    this.custom = data.custom || null;  // editor grid when test-playing
+    this.editor = !!data.editor;
+    this.campaign = !!data.campaign;
     const spec = MAPS[this.level];
 
-    parseMapFrom(spec.img);
-
-    const sheets = {
-      idle: img[this.char + '_idle'],
-      walk: img[this.char + '_walk'],
-      jump: img[this.char + '_jump']
-    };
-    this.p = new Player(playerStart.x * tileSize, playerStart.y * tileSize, sheets);
-    this.p.scene = this;
+    const src = this.custom || spec.data || spec.img;
+    if (!src) {
+      this.errors = [`${spec.level || spec.mapImg} failed to load`];
+      return;
+    }
+    const level = parseLevel(src);
+    this.errors = level.errors;
+    this.errors.forEach(e => console.error(`Level error: ${e}`));
+    if (this.errors.length) return;
+
+    // the simulation; this scene feeds it input, draws it and plays its sounds
+    const chars = playerChars(this.char);
+    this.coop = this.char === 'coop';
+    this.trial = !!(data.replay ? data.replay.trial : data.trial);
+    this.game = new Game(level, {
+      players: chars.map(c => CHARACTERS[c].stats),
+      lives: spec.lives ?? LIVES,
+      goals: spec.goals ?? 1,
+      berries: spec.berries,
+      timeLimit: this.trial ? null : spec.timeLimit,
+      berriesNeeded: spec.berriesNeeded,
+      survive: spec.survive
+    });
+    this.sprites = chars.map(c => new PlayerSprites(c));
+    this.p = this.game.players[0]; // the one recorded for the ghost
 
     if (IS_TOUCH) makeTouchUI(this.sm);
-    this.cam = 0;
-    this.t0 = millis();
-    this.coins = coins.map(c => ({ ...c, col: false }));
-    this.balls = [];
+    this.cam = null;  // { x, y, w, h, zoom } in world px, placed on the first draw
+    this.acc = 0;     // frame time not yet simulated
+    this.alpha = 0;   // interpolation between the last two ticks
+    this.kickTap = chars.map(() => false); // kick pressed since the last tick
+    this.menu = null; // PauseMenu while paused
+    this.fx = new Effects();
+    this.outro = 0;   // death / victory animation ticks left before Over / Win
+
+    // watch a recording, or record this run (saved runs only for MAPS levels)
+    this.replay   = data.replay ? new ReplayInput(data.replay) : null;
+    this.recorder = this.replay ? null : new RunRecorder(this.level, this.char, this.trial);
+    this.best = this.trial ? trialRecord(this.level, this.char) : null; // splits to beat
+    this.lastSplit = null; // time trial: the split on show, with its delta
+    const best = this.custom || this.replay ? null : loadRun('best', this.level, this.char);
+    this.ghost = best ? new Ghost(best) : null;
+    this.showGhost = true;
 
     // stop any playing level music
     for (const lvlKey in MAPS) {
@@ -654,230 +1324,400 @@ class Play {
     this.music = spec.musicObj || null;
     if (this.music && typeof this.music.isPlaying === 'function' && !this.music.isPlaying()) {
       this.music.setLoop(true);
-      this.music.setVolume(0.6);
       this.music.play();
     }
 
     this.tPlatform   = img[spec.tiles.platform];
     this.tLava       = img[spec.tiles.lava];
     this.tCoin       = img[spec.tiles.coin];
-    this.tBackground = img[spec.tiles.background];
+    this.layers      = mapLayers(spec);
+    this.tileCache = new TileCache(level, { platform: this.tPlatform, lava: this.tLava });
+    this.tileCache.build(this.viewport().zoom);
   }
+  exit() {
+    this.tileCache?.dispose();
+  }
+  onResize() {
+    if (this.errors.length) return;
+    this.tileCache.build(this.viewport().zoom);
+  }
+  // advance the simulation in fixed ticks, whatever the display rate
   update() {
-    const timeLeft = GAME_TIME_LIMIT - (millis() - this.t0);
-    if (timeLeft <= 0) {
-      this.sm.change('over', {
-        c: this.collected(),
-        char: this.char,
-        level: this.level
-      });
+    if (this.errors.length) return;
+    if (this.menu) {            // paused: the clock is frozen with the ticks
+      this.menu.update();
       return;
     }
 
-    this.p.update();
-    this.cam = constrain(
-      this.p.pos.x + this.p.w / 2 - width / 2,
-      0,
-      mapW * tileSize - width
-    );
-
-    // coin collection
-    for (const c of this.coins) {
-      if (!c.col && dist(this.p.pos.x, this.p.pos.y, c.x, c.y) < tileSize * 0.8) {
-        c.col = true;
-        sfx.coin?.play();
-      }
+    this.acc += min(deltaTime, MAX_FRAME_MS);
+    while (this.acc >= TICK_MS) {
+      this.acc -= TICK_MS;
+      this.tick();
+      if (this.sm.current !== this) return; // won, lost or restarted
     }
+    this.alpha = this.acc / TICK_MS;
+  }
 
-    // update balls & collisions
-    for (const b of this.balls) b.update();
-    this.handleBallCollisions();
-
-    // lose conditions
-    if (this.p.pos.y > mapH * tileSize || this.touchLava()) {
-      this.sm.change('over', {
-        c: this.collected(),
-        char: this.char,
-        level: this.level
-      });
+  tick() {
+    // the run is decided: let the death or victory animation play first
+    if (this.outro) {
+      this.fx.update();
+      if (--this.outro === 0) this.end(this.game.status);
+      return;
     }
 
-    // win condition
-    if (
-      dist(
-        this.p.pos.x,
-        this.p.pos.y,
-        flagPos.x * tileSize,
-        flagPos.y * tileSize
-      ) < tileSize
-    ) {
-      this.sm.change('win', {
-        c: this.collected(),
-        char: this.char,
-        level: this.level
+    let bits = 0;
+    if (this.replay) {
+      bits = this.replay.next();
+    } else {
+      this.kickTap.forEach((tap, i) => {
+        const input = readInput(this.coop ? i : undefined);
+        input.kick = input.kick || tap;
+        bits |= packInput(input) << (i * PLAYER_BITS);
       });
+      this.kickTap.fill(false);
     }
-  }
-
-  touchLava() {
-    const l = floor(this.p.pos.x / tileSize);
-    const r = floor((this.p.pos.x + this.p.w) / tileSize);
-    const t = floor(this.p.pos.y / tileSize);
-    const b = floor((this.p.pos.y + this.p.h) / tileSize);
-    for (let y = t; y <= b; y++) {
-      for (let x = l; x <= r; x++) {
-        if (tiles[y]?.[x] === 'lava') return true;
-      }
-    }
-    return false;
-  }
-
-  handleBallCollisions() {
-    for (let i = 0; i < this.balls.length; i++) {
-      for (let j = i + 1; j < this.balls.length; j++) {
-        const a = this.balls[i], b = this.balls[j];
-        const d = p5.Vector.dist(a.pos, b.pos);
-        if (d < a.r + b.r && d > 0) {
-          const n = p5.Vector.sub(b.pos, a.pos).setMag(1);
-          const overlap = a.r + b.r - d;
-          a.pos.add(p5.Vector.mult(n, -overlap / 2));
-          b.pos.add(p5.Vector.mult(n, overlap / 2));
-          const rel = p5.Vector.sub(a.vel, b.vel).dot(n);
-          if (rel > 0) {
-            const impulse = rel * 0.9;
-            a.vel.sub(p5.Vector.mult(n, impulse));
-            b.vel.add(p5.Vector.mult(n, impulse));
-            const now = millis();
-            if (now - a.lastSound > BOUNCE_COOLDOWN) {
-              a.lastSound = b.lastSound = now;
-              sfx.bounce?.play();
-            }
-          }
-        }
-      }
+    const events = this.game.step(bits);
+    for (const e of events) sfx[EVENT_SFX[e]]?.play();
+    if (this.trial && events.includes('split')) {
+      const [sp] = compareSplits(this.game.splits.slice(-1), this.best);
+      this.lastSplit = { ...sp, until: this.game.ticks + SPLIT_SHOW_TICKS };
     }
+    for (const spot of this.game.spots) this.fx.event(spot);
+    this.fx.update();
+    this.recorder?.record(bits, this.p);
+    if (this.game.reason === 'lives') this.outro = DEATH_TICKS;
+    else if (this.game.status === 'win') this.outro = VICTORY_TICKS;
+    else if (this.game.status) this.end(this.game.status);
   }
 
   draw() {
-    if (this.tBackground) {
-      image(this.tBackground, -this.cam, 0, mapW * tileSize, height);
-    } else {
-      background(100);
+    if (this.errors.length) {
+      this.drawErrors();
+      return;
     }
 
-    push();
-    translate(-this.cam, 0);
+    const g = this.game;
+    const { w: mapW, h: mapH, tiles, flag } = g.level;
+    const ts = TILE_SIZE;
+    this.updateCamera();
+    const { x: camX, y: camY, zoom } = this.cam;
 
-    // draw tiles
-    for (let y = 0; y < mapH; y++) {
-      for (let x = 0; x < mapW; x++) {
-        const t = tiles[y][x];
-        if (t === 'platform' && this.tPlatform) {
-          image(this.tPlatform, x * tileSize, y * tileSize, tileSize, tileSize);
-        } else if (t === 'lava' && this.tLava) {
-          image(this.tLava, x * tileSize, y * tileSize, tileSize, tileSize);
-        }
+    // parallax layers behind the world; front ones go on after it
+    const secs = (g.ticks + this.alpha) * TICK_MS / 1000;
+    background(100);
+    this.layers.forEach(l => { if (!l.front) drawLayer(l, this.cam, secs); });
+
+    const shake = this.fx.offset();
+    push();
+    translate(shake.x, shake.y);
+    scale(zoom);
+    translate(-camX, -camY);
+
+    // draw tiles: cached chunks, then goal nets in view
+    this.tileCache.draw(this.cam);
+    const x0 = max(0, floor(camX / ts)), x1 = min(mapW - 1, floor((camX + this.cam.w) / ts));
+    const y0 = max(0, floor(camY / ts)), y1 = min(mapH - 1, floor((camY + this.cam.h) / ts));
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        if (tiles[y][x] === 'goal') drawGoalShape(x * ts, y * ts, ts);
       }
     }
+    g.movers.forEach(m => drawMover(m, this.alpha, this.tPlatform));
+
+    // draw enemies & balls
+    g.enemies.forEach(e => drawEnemy(e, this.alpha));
+    g.allBalls().forEach(b => {
+      if (this.inView(b.pos.x - b.r, b.pos.y - b.r, b.r * 2, b.r * 2)) drawBall(b, this.alpha);
+    });
 
-    // draw balls
-    this.balls.forEach(b => b.draw());
-    this.balls = this.balls.filter(b => millis() - b.birth < 20000);
+    g.checkpoints.forEach(cp => {
+      drawCheckpointShape(cp.x * ts, cp.y * ts, ts, cp === g.checkpoint.cp);
+    });
 
     // draw coins
-    this.coins.forEach(c => {
-      if (!c.col && this.tCoin) {
-        image(this.tCoin, c.x, c.y, tileSize, tileSize);
-      }
+    g.coins.forEach(c => {
+      if (!c.col && this.inView(c.x, c.y, ts, ts)) drawBerry(c.kind, this.tCoin, c.x, c.y, ts);
     });
 
-    // draw flag
-    if (flagPos) {
-      image(
-        img.flag,
-        flagPos.x * tileSize,
-        flagPos.y * tileSize - tileSize,
-        tileSize,
-        tileSize * 1.5
-      );
+    // draw flag (faded until the goals and berries it needs are in)
+    if (flag) {
+      push();
+      if (!g.flagOpen() || g.surviveMs) tint(255, 90);
+      image(img.flag, flag.x * ts, flag.y * ts - ts, ts, ts * 1.5);
+      pop();
     }
 
-    // draw player
-    this.p.draw();
+    // draw ghost of the best run, then the player on top
+    if (this.showGhost) this.ghost?.draw(g.ticks, this.alpha);
+    g.players.forEach((p, i) => {
+      const at = tweenPos(p, this.alpha);
+      if (this.outro && g.status === 'over') {
+        // sink and fade out, burning red
+        const k = 1 - this.outro / DEATH_TICKS;
+        push();
+        tint(255, 90, 60, 255 * (1 - k));
+        this.sprites[i].draw(at.x, at.y + k * p.h * 0.8, p);
+        pop();
+      } else if (!p.invuln || floor(p.invuln / 5) % 2) {
+        this.sprites[i].draw(at.x, at.y, p);
+      }
+    });
+    this.fx.drawWorld();
 
     pop();
+    this.layers.forEach(l => { if (l.front) drawLayer(l, this.cam, secs); });
+    this.fx.drawScreen();
 
     // HUD
-    image(
-      img[this.char + 'Logo'],
-      10,
-      10,
-      img[this.char + 'Logo'].width * logoScale,
-      img[this.char + 'Logo'].height * logoScale
-    );
+    let logoX = 10;
+    for (const c of playerChars(this.char)) {
+      const logo = img[c + 'Logo'];
+      image(logo, logoX, 10, logo.width * logoScale, logo.height * logoScale);
+      logoX += logo.width * logoScale + 10;
+    }
     fill(255);
     textSize(24);
-    text(`Coins: ${this.collected()}/${totalCoins}`, width - 108, 30);
-    text(Math.ceil((GAME_TIME_LIMIT - (millis() - this.t0)) / 1000), width / 2, 30);
+    text(`Coins: ${g.collected()}/${g.coins.length}`, width - 108, 30);
+    // the clock: time left to survive, time left, or (no limit) time taken
+    const clock = g.surviveMs ? g.surviveMs - g.elapsed()
+      : Number.isFinite(g.timeLimit) ? g.timeLimit - g.elapsed() : null;
+    text(clock === null || this.trial ? formatTime(g.elapsed()) : Math.ceil(clock / 1000), width / 2, 30);
+    text(`Lives: ${'❤'.repeat(g.lives)}`, width - 108, 60);
+    if (g.goalsNeeded) {
+      text(`⚽ ${g.goals}/${g.goalsNeeded}`, width - 108, 90);
+    }
+    text(`Score: ${g.points()}`, width - 108, g.goalsNeeded ? 120 : 90);
+    // what's still in the way of winning
+    textSize(18);
+    if (g.surviveMs) text('SURVIVE!', width / 2, 58);
+    else if (g.collected() < g.berriesNeeded) {
+      text(`🫐 ${g.collected()}/${g.berriesNeeded} to open the flag`, width / 2, 58);
+    }
+    textSize(24);
+    if (g.multiplier() > 1) {
+      fill(255, 102, 204);
+      text(`COMBO x${g.multiplier()}`, width / 2, 116);
+    }
+    if (this.replay) {
+      fill(255, 80, 80);
+      text(this.replay.warning ? `REPLAY (${this.replay.warning})` : 'REPLAY', width / 2, 86);
+    }
+    const sp = this.lastSplit;
+    if (sp && g.ticks < sp.until) {
+      fill(splitColor(sp.delta));
+      text(`${splitLabel(sp.id)}  ${formatTime(sp.t)}  ${formatDelta(sp.delta)}`, width / 2, 146);
+    }
+    this.menu?.draw();
   }
 
-  collected() {
-    return this.coins.filter(c => c.col).length;
+  // screen px per world px, and how much of the world fits on screen;
+  // co-op zooms out as far as it takes to show both ends of the leash
+  viewport() {
+    let zoom = viewZoom();
+    if (this.coop) zoom = min(zoom, width / ((LEASH_TILES + 1) * TILE_SIZE));
+    return { zoom, w: width / zoom, h: height / zoom };
   }
 
-  keyPressed(k) {
-    if (k === 82) { // R
-      this.sm.change('play', {
-        char: this.char,
-        level: this.level
-      });
-    }
-    if (k === 88) { // X
-      if (this.balls.length < MAX_BALLS) {
-        const bx = this.p.pos.x + this.p.w / 2;
-        const by = this.p.pos.y + this.p.h / 2;
-        this.balls.push(new Ball(bx, by, !this.p.flip));
-        sfx.kick?.play();
-      }
-    }
+  // x follows the player (co-op: the midpoint of both); y only follows once
+  // they leave the CAMERA_BAND, so every jump doesn't shake the screen
+  updateCamera() {
+    const v = this.viewport();
+    const { w: mapW, h: mapH } = this.game.level;
+    const at = this.game.players.map(p => tweenPos(p, this.alpha));
+    const x = at.reduce((sum, p) => sum + p.x, 0) / at.length + this.p.w / 2;
+    const y = at.reduce((sum, p) => sum + p.y, 0) / at.length + this.p.h / 2;
+    const camY = constrain(
+      this.cam ? this.cam.y : y - v.h / 2,
+      y - v.h * CAMERA_BAND[1],
+      y - v.h * CAMERA_BAND[0]
+    );
+    this.cam = {
+      x: constrain(x - v.w / 2, 0, mapW * TILE_SIZE - v.w),
+      y: min(max(camY, 0), mapH * TILE_SIZE - v.h), // short maps sit on the bottom edge
+      w: v.w,
+      h: v.h,
+      zoom: v.zoom
+    };
   }
-}
 
-class Over {
-  constructor(sm) {
-    this.sm = sm;
-  }
-  enter(d) {
-    this.c     = d.c;
-    this.char  = d.char;
-    this.level = d.level;
-    // stop all audio on scene change is already handled by SceneManager.change
-    sfx.losebounce?.play();
+  // does a world-space box overlap what the camera shows?
+  inView(x, y, w, h) {
+    const c = this.cam;
+    return x + w > c.x && x < c.x + c.w && y + h > c.y && y < c.y + c.h;
   }
-  draw() {
-    background(0);
-    stroke(0); // Black stroke
-    strokeWeight(2); // Make stroke a little thinner
-    fill(0);
 
-    image(img.lose, 0, 0, width, height);
-    fill(255, 0, 0);
-    textSize(48);
-    text("GAME OVER", width / 2, height * 0.4);
+  drawErrors() {
+    background(0);
+    fill(255, 80, 80);
+    textSize(32);
+    text(`${this.level} could not be loaded`, width / 2, height * 0.3);
     fill(255);
-    textSize(24);
-    text(`Coins: ${this.c}/${totalCoins}`, width / 2, height * 0.5);
-    text("Press R to retry", width / 2, height * 0.56);
-    text("ESC = Main Menu", width / 2, height * 0.62);
+    textSize(20);
+    this.errors.forEach((e, i) => text(e, width / 2, height * 0.4 + i * 28));
+    text("ESC = Main Menu", width / 2, height * 0.9);
   }
-  keyPressed(k) {
-    if (k === 82) { // R
-      this.sm.change('play', {
-        char: this.char,
-        level: this.level
-      });
+
+  // data handed to Over/Win (and back to Play on retry)
+  result() {
+    return {
+      c: this.game.collected(),
+      total: this.game.coins.length,
+      score: { ...this.game.score, total: this.game.points() },
+      char: this.char,
+      level: this.level,
+      custom: this.custom,
+      editor: this.editor,
+      campaign: this.campaign,
+      trial: this.trial
+    };
+  }
+
+  // finish the run: keep its recording, then show Over/Win
+  end(scene) {
+    const d = this.result();
+    d.time = this.game.elapsed();
+    d.goals = this.game.goalsNeeded ? this.game.goals : null;
+    d.objectives = this.game.objectives();
+    d.reason = this.game.reason;
+    if (this.trial) d.splits = compareSplits(this.game.splits, this.best);
+    if (this.replay) {
+      d.recording = this.replay.run;
+    } else {
+      d.recording = this.recorder.finish(scene, d.c);
+      if (!this.custom && this.trial) {
+        // trials keep their own records: without the countdown they don't
+        // count towards completion or unlocks
+        storeRun(d.recording);
+        d.trialBest = scene === 'win' && recordTrial(this.level, this.char, d.time, this.game.splits);
+      } else if (!this.custom) {
+        storeRun(d.recording);
+        const next = nextLevel(this.level);
+        const wasLocked = next && !isUnlocked(next);
+        d.records = recordResult(this.level, this.char, {
+          won: scene === 'win',
+          berries: d.c,
+          total: d.total,
+          time: d.time,
+          score: d.score.total
+        });
+        d.unlocked = wasLocked && isUnlocked(next) ? next : null;
+      }
+    }
+    this.sm.change(scene, d);
+  }
+
+  pause() {
+    this.menu = new PauseMenu(this);
+    if (this.music?.isPlaying?.()) this.music.pause();
+  }
+  resume() {
+    this.menu = null;
+    if (this.music && !this.music.isPlaying?.()) this.music.play();
+  }
+  restart() {
+    this.sm.change('play', this.result());
+  }
+  quit() {
+    this.sm.change(this.editor ? 'editor' : 'start', { resume: true });
+  }
+
+  escape() {
+    if (this.errors.length) this.quit();
+    else if (this.menu) this.resume();
+    else this.pause();
+  }
+
+  action(a) {
+    if (this.errors.length || this.menu) return; // the menu reads raw keys
+    if (a === 'restart') {
+      this.restart();
+    }
+    if (a === 'kick' && !this.coop) { // a quick tap still kicks on the next tick
+      this.kickTap[0] = true;
+    }
+  }
+
+  keyPressed(k) {
+    if (this.errors.length) return;
+    if (this.menu) {
+      this.menu.keyPressed(k);
+      return;
+    }
+    if (k === 80) this.pause(); // P
+    if (k === 71) { // G
+      this.showGhost = !this.showGhost;
+    }
+    // co-op: the kick key's slot says whose kick it was
+    const slot = inputMap.bindings.keys.kick.indexOf(k);
+    if (this.coop && slot >= 0 && slot < this.kickTap.length) this.kickTap[slot] = true;
+  }
+  padPressed(b) {
+    if (this.menu) this.menu.padPressed(b);
+    else if (b === 9 && !this.errors.length) this.pause(); // Start
+  }
+  mousePressed() {
+    this.menu?.mousePressed();
+  }
+}
+
+// level objectives (Game.objectives()) for the end screens: ✔/✘ each
+const OBJECTIVE_TEXT = {
+  survive: o => `Survive ${o.need / 1000}s (${floor(o.have / 1000)}s)`,
+  goals:   o => `Score ${o.need} goal${o.need > 1 ? 's' : ''} (${o.have})`,
+  berries: (o, total) => `${o.need === total ? 'Collect every berry' : `Collect ${o.need} berries`} (${o.have}/${o.need})`,
+  flag:    () => 'Reach the flag'
+};
+const END_REASONS = { time: "Time's up!", lives: 'Out of lives!' };
+
+function describeObjectives(run) {
+  return run.objectives.map(o => `${o.done ? '✔' : '✘'} ${OBJECTIVE_TEXT[o.id](o, run.total)}`).join('   ');
+}
+
+class Over {
+  constructor(sm) {
+    this.sm = sm;
+  }
+  enter(d) {
+    this.c     = d.c;
+    this.char  = d.char;
+    this.level = d.level;
+    this.run   = d;
+    // stop all audio on scene change is already handled by SceneManager.change
+    sfx.losebounce?.play();
+  }
+  draw() {
+    background(0);
+    stroke(0); // Black stroke
+    strokeWeight(2); // Make stroke a little thinner
+    fill(0);
+
+    image(img.lose, 0, 0, width, height);
+    fill(255, 0, 0);
+    textSize(48);
+    text("GAME OVER", width / 2, height * 0.34);
+    fill(255);
+    textSize(28);
+    text(END_REASONS[this.run.reason] || '', width / 2, height * 0.4);
+    textSize(20);
+    text(describeObjectives(this.run), width / 2, height * 0.45);
+    textSize(24);
+    text(`Coins: ${this.c}/${this.run.total}   Score: ${this.run.score.total}`, width / 2, height * 0.5);
+    text(`Press ${inputMap.describe('restart')} to retry`, width / 2, height * 0.56);
+    text("ESC = Main Menu", width / 2, height * 0.62);
+    text("P = Watch replay · S = Save replay", width / 2, height * 0.68);
+    if (this.run.splits) drawSplits(this.run.splits);
+  }
+  action(a) {
+    if (a === 'restart') {
+      this.sm.change('play', this.run);
     }
-    // ESC handled by SceneManager.keyPressed
+  }
+  keyPressed(k) {
+    replayKeys(this.sm, this.run, k);
+  }
+  escape() {
+    this.sm.change(this.run.editor ? 'editor' : 'start', { resume: true });
   }
 }
 
@@ -889,6 +1729,7 @@ class Win {
     this.c     = d.c;
     this.char  = d.char;
     this.level = d.level;
+    this.run   = d;
     sfx.win?.play();
   }
   draw() {
@@ -898,56 +1739,1040 @@ class Win {
     strokeWeight(3);
     fill(0);
     textSize(48);
-    text("YOU WIN!", width / 2, height * 0.4);
+    text("YOU WIN!", width / 2, height * 0.37);
+    textSize(20);
+    text(describeObjectives(this.run), width / 2, height * 0.42);
     textSize(24);
-    text(`Coins: ${this.c}/${totalCoins}`, width / 2, height * 0.5);
-    text("Press R to replay", width / 2, height * 0.56); // This line was duplicated, keeping only one
-    text("ESC = Main Menu", width / 2, height * 0.62);
+    const goals = this.run.goals === null ? '' : `   Goals: ${this.run.goals}`;
+    text(`Coins: ${this.c}/${this.run.total}${goals}   Time: ${formatTime(this.run.time)}`, width / 2, height * 0.465);
+
+    // score breakdown
+    const sc = this.run.score;
+    textSize(20);
+    text(`Berries ${sc.berries}  +  Combos ${sc.combo}  +  Time bonus ${sc.time}`, width / 2, height * 0.51);
+    textSize(30);
+    text(`Score: ${sc.total}`, width / 2, height * 0.56);
+    textSize(24);
+    text(`Press ${inputMap.describe('restart')} to play again`, width / 2, height * 0.62);
+    text("ESC = Main Menu", width / 2, height * 0.67);
+    text("P = Watch replay · S = Save replay", width / 2, height * 0.72);
+
+    // campaign: next level, what it still needs, or the end
+    const next = this.run.custom ? null : nextLevel(this.level);
+    if (next && isUnlocked(next)) {
+      text(
+        `${this.run.unlocked ? `${next} unlocked! ` : ''}N / ${inputMap.describe('jump', 'pad')} = Next level`,
+        width / 2, height * 0.84
+      );
+    } else if (next) {
+      text(`🔒 ${next}: ${unlockNeeds(next)}`, width / 2, height * 0.84);
+    } else if (this.run.campaign) {
+      text('Campaign complete! 🏆', width / 2, height * 0.84);
+    }
+
+    if (this.run.trial) {
+      this.drawTrial();
+      return;
+    }
+    const rec = levelRecord(this.level, this.char);
+    if (this.run.records && rec) {
+      text(
+        `Best: ${rec.bestBerries}/${rec.total} berries · ${formatTime(rec.bestTime)} · ${rec.bestScore} pts`,
+        width / 2, height * 0.78
+      );
+      const news = [
+        this.run.records.berries && 'berries',
+        this.run.records.time && 'time',
+        this.run.records.score && 'score'
+      ].filter(Boolean);
+      if (news.length) {
+        fill(255, 102, 204);
+        textSize(32 + sin(frameCount * 0.15) * 4);
+        text(`NEW RECORD: ${news.join(' & ')}!`, width / 2, height * 0.3);
+      }
+    }
+  }
+  // time trial: the splits and the best time instead of the records
+  drawTrial() {
+    drawSplits(this.run.splits);
+    const best = trialRecord(this.level, this.char);
+    if (best) text(`Best trial: ${formatTime(best.time)}`, width / 2, height * 0.78);
+    if (this.run.trialBest) {
+      fill(255, 102, 204);
+      textSize(32 + sin(frameCount * 0.15) * 4);
+      text('NEW BEST TIME!', width / 2, height * 0.3);
+    }
+  }
+  action(a) {
+    if (a === 'restart') {
+      this.sm.change('play', this.run);
+    }
+    if (a === 'jump') this.next();
+  }
+  keyPressed(k) {
+    if (k === 78) this.next(); // N
+    replayKeys(this.sm, this.run, k);
   }
+  next() {
+    const next = this.run.custom ? null : nextLevel(this.level);
+    if (next && isUnlocked(next)) {
+      this.sm.change('play', { char: this.char, level: next, campaign: this.run.campaign, trial: this.run.trial });
+    }
+  }
+  escape() {
+    this.sm.change(this.run.editor ? 'editor' : 'start', { resume: true });
+  }
+}
+
+/* ══════════ Pause menu ══════════ */
+const PAUSE_ROWS = [
+  { id: 'resume',  label: 'Resume' },
+  { id: 'restart', label: 'Restart' },
+  { id: 'quit',    label: 'Quit' },
+  { id: 'master',  label: 'Master', slider: true },
+  { id: 'music',   label: 'Music',  slider: true },
+  { id: 'sfx',     label: 'SFX',    slider: true },
+  { id: 'muted',   label: 'Mute',   toggle: true },
+  { id: 'effects', label: 'Reduced effects', toggle: true }
+];
+const VOLUME_STEP = 0.1;
+
+/* Overlay drawn over a paused level. Like Controls it reads raw input:
+   ↑/↓ (or d-pad) row, ←/→ slider, Enter/Space (or A) picks, M mutes;
+   sliders can also be clicked and dragged. */
+class PauseMenu {
+  constructor(play) {
+    this.play = play;
+    this.row = 0;
+    this.drag = null; // slider row being dragged
+  }
+  rowRect(i) {
+    const w = min(420, width * 0.5), h = 40;
+    return { x: width / 2 - w / 2, y: height * 0.22 + i * (h + 10), w, h };
+  }
+  sliderRect(r) {
+    return { x: r.x + r.w * 0.35, y: r.y + r.h / 2 - 4, w: r.w * 0.55, h: 8 };
+  }
+
+  move(step) {
+    this.row = (this.row + step + PAUSE_ROWS.length) % PAUSE_ROWS.length;
+  }
+  nudge(dir) {
+    const row = PAUSE_ROWS[this.row];
+    if (row.slider) setAudio(row.id, round((audioSettings()[row.id] + dir * VOLUME_STEP) * 10) / 10);
+  }
+  pick() {
+    const row = PAUSE_ROWS[this.row];
+    if (row.id === 'resume')  this.play.resume();
+    if (row.id === 'restart') this.play.restart();
+    if (row.id === 'quit')    this.play.quit();
+    if (row.id === 'muted')   setAudio('muted', !audioSettings().muted);
+    if (row.id === 'effects') setReducedEffects(!reducedEffects());
+  }
+
   keyPressed(k) {
-    if (k === 82) { // R
-      this.sm.change('play', {
-        char: this.char,
-        level: this.level
+    if (k === 38 || k === 87) this.move(-1);  // ↑ W
+    if (k === 40 || k === 83) this.move(1);   // ↓ S
+    if (k === 37 || k === 65) this.nudge(-1); // ← A
+    if (k === 39 || k === 68) this.nudge(1);  // → D
+    if (k === 13 || k === 32) this.pick();    // Enter Space
+    if (k === 77) setAudio('muted', !audioSettings().muted); // M
+    if (k === 80) this.play.resume();         // P
+  }
+  padPressed(b) {
+    if (b === 12) this.move(-1);
+    if (b === 13) this.move(1);
+    if (b === 14) this.nudge(-1);
+    if (b === 15) this.nudge(1);
+    if (b === 0)  this.pick();
+    if (b === 9)  this.play.resume();          // Start
+  }
+  mousePressed() {
+    PAUSE_ROWS.forEach((row, i) => {
+      const r = this.rowRect(i);
+      if (mouseX < r.x || mouseX > r.x + r.w || mouseY < r.y || mouseY > r.y + r.h) return;
+      this.row = i;
+      if (row.slider) this.drag = row;
+      else this.pick();
+    });
+  }
+  update() {
+    if (!mouseIsPressed) this.drag = null;
+    if (this.drag) {
+      const s = this.sliderRect(this.rowRect(PAUSE_ROWS.indexOf(this.drag)));
+      setAudio(this.drag.id, round(constrain((mouseX - s.x) / s.w, 0, 1) * 100) / 100);
+    }
+  }
+
+  draw() {
+    const a = audioSettings();
+    noStroke();
+    fill(0, 0, 0, 170);
+    rect(0, 0, width, height);
+    fill(255);
+    textSize(40);
+    text('PAUSED', width / 2, height * 0.12);
+
+    PAUSE_ROWS.forEach((row, i) => {
+      const r = this.rowRect(i);
+      const sel = i === this.row;
+      fill(0, 0, 0, 150);
+      stroke(sel ? color(255, 102, 204) : color(255, 80));
+      strokeWeight(sel ? 3 : 1);
+      rect(r.x, r.y, r.w, r.h, 8);
+      noStroke();
+      fill(255);
+      textSize(20);
+      if (row.slider) {
+        const s = this.sliderRect(r);
+        text(row.label, r.x + r.w * 0.17, r.y + r.h / 2);
+        fill(255, 60);
+        rect(s.x, s.y, s.w, s.h, 4);
+        fill(a.muted ? 150 : color(255, 102, 204));
+        rect(s.x, s.y, s.w * a[row.id], s.h, 4);
+        fill(255);
+        circle(s.x + s.w * a[row.id], s.y + s.h / 2, 16);
+      } else if (row.id === 'muted') {
+        text(`${row.label}: ${a.muted ? 'ON 🔇' : 'OFF'}`, r.x + r.w / 2, r.y + r.h / 2);
+      } else if (row.id === 'effects') {
+        text(`${row.label}: ${reducedEffects() ? 'ON' : 'OFF'}`, r.x + r.w / 2, r.y + r.h / 2);
+      } else {
+        const to = row.id === 'quit' ? (this.play.editor ? ' to editor' : ' to menu') : '';
+        text(row.label + to, r.x + r.w / 2, r.y + r.h / 2);
+      }
+    });
+
+    textSize(16);
+    text('↑/↓ select · ←/→ volume · Enter = pick · M = mute · P / ESC = resume', width / 2, height * 0.92);
+  }
+}
+
+/* ══════════ Level Editor ══════════ */
+const EDITOR_TOOLS = [
+  'empty', 'platform', 'lava', 'coin', 'start', 'flag',
+  'enemy', 'ballSpawn', 'goal', 'oneway', 'moverX', 'moverY', 'checkpoint',
+  'coinRare', 'coinGolden', 'coinTime'
+];
+const EDITOR_TOOL_KEYS = '1234567890QWRYUI'; // same order as EDITOR_TOOLS
+const EDITOR_SCROLL = 12;
+
+class Editor {
+  constructor(sm) {
+    this.sm = sm;
+    this.cells = null;
+  }
+  enter(data = {}) {
+    this.char = data.char || this.char || Object.keys(CHARACTERS)[0];
+    this.tool = this.tool || 'platform';
+    // coming back from a test-play keeps the grid being edited
+    if (!(data.resume && this.cells)) this.load(data.level || Object.keys(MAPS)[0]);
+    this.painting = false;
+    this.enteredAt = frameCount; // ignore the click that opened the editor
+    cursor('crosshair');
+  }
+  exit() {
+    cursor('default');
+  }
+
+  // copy a MAPS level into the editable grid
+  load(key) {
+    const spec = MAPS[key];
+    // a map whose file failed to load opens as an empty grid
+    const level = readLevel(spec.data || spec.img || {
+      cells: Array.from({ length: 20 }, () => Array(100).fill('empty'))
+    });
+    this.base = key;
+    this.cells = level.cells;
+    for (const o of level.objects) {
+      if (this.cells[o.y]?.[o.x] !== undefined) this.cells[o.y][o.x] = o.kind;
+    }
+    this.cam = 0;
+    this.camY = this.h * this.ts - height; // start on the ground
+    this.loadTextures();
+  }
+  blank() {
+    const w = this.cells[0].length, h = this.cells.length;
+    this.cells = Array.from({ length: h }, (_, y) =>
+      Array(w).fill(y === h - 1 ? 'platform' : 'empty')
+    );
+    this.cam = 0;
+    this.camY = this.h * this.ts - height;
+  }
+  loadTextures() {
+    const spec = MAPS[this.base];
+    this.tPlatform   = img[spec.tiles.platform];
+    this.tLava       = img[spec.tiles.lava];
+    this.tCoin       = img[spec.tiles.coin];
+    this.tBackground = img[spec.tiles.background];
+  }
+
+  get w()  { return this.cells[0].length; }
+  get h()  { return this.cells.length; }
+  get ts() { return TILE_SIZE * viewZoom(); } // same tile size as Play
+
+  update() {
+    let dx = 0, dy = 0;
+    if (inputMap.isDown('left'))  dx = -1;
+    if (inputMap.isDown('right')) dx = 1;
+    if (keyIsDown(UP_ARROW))      dy = -1;
+    if (keyIsDown(DOWN_ARROW))    dy = 1;
+    this.scroll(dx * EDITOR_SCROLL, dy * EDITOR_SCROLL);
+
+    if (!mouseIsPressed) this.painting = false;
+    if (this.painting) {
+      const x = floor((mouseX + this.cam) / this.ts);
+      const y = floor((mouseY + this.camY) / this.ts);
+      this.paint(x, y, this.tool);
+    }
+  }
+  // like Play's camera: a map shorter than the screen sits on the bottom edge
+  scroll(dx, dy = 0) {
+    const over = this.h * this.ts - height;
+    this.cam  = constrain(this.cam + dx, 0, max(0, this.w * this.ts - width));
+    this.camY = constrain(this.camY + dy, min(0, over), max(0, over));
+  }
+  onResize() {
+    this.scroll(0, 0);
+  }
+  paint(x, y, kind) {
+    if (this.cells[y]?.[x] === undefined) return;
+    // only one start, flag and ball spawn per level
+    if (kind === 'start' || kind === 'flag' || kind === 'ballSpawn') {
+      this.cells.forEach(row => row.forEach((c, i) => {
+        if (c === kind) row[i] = 'empty';
+      }));
+    }
+    this.cells[y][x] = kind;
+  }
+  resize(dw) {
+    const w = max(1, this.w + dw);
+    this.cells = this.cells.map(row =>
+      w < row.length ? row.slice(0, w) : [...row, ...Array(w - row.length).fill('empty')]
+    );
+    this.scroll(0);
+  }
+  count(kind) {
+    return this.cells.flat().filter(c => c === kind).length;
+  }
+  berries() {
+    return Object.keys(BERRY_CELLS).reduce((n, k) => n + this.count(k), 0);
+  }
+
+  // palette swatches along the bottom-left corner
+  paletteRect(i) {
+    const s = 44;
+    return { x: 10 + i * (s + 8), y: height - s - 10, w: s, h: s };
+  }
+  paletteAt(mx, my) {
+    for (let i = 0; i < EDITOR_TOOLS.length; i++) {
+      const r = this.paletteRect(i);
+      if (mx > r.x && mx < r.x + r.w && my > r.y && my < r.y + r.h) return i;
+    }
+    return null;
+  }
+  drawCell(kind, x, y, s) {
+    if (kind === 'platform' && this.tPlatform)  image(this.tPlatform, x, y, s, s);
+    else if (kind === 'lava' && this.tLava)     image(this.tLava, x, y, s, s);
+    else if (kind in BERRY_CELLS)               drawBerry(BERRY_CELLS[kind], this.tCoin, x, y, s);
+    else if (kind === 'flag')                   image(img.flag, x, y, s, s);
+    else if (kind === 'enemy')                  drawEnemyShape(x + s * 0.1, y + s * 0.2, s * 0.8, s * 0.8, false);
+    else if (kind === 'ballSpawn')              image(img.ball, x + s * 0.1, y + s * 0.1, s * 0.8, s * 0.8);
+    else if (kind === 'goal')                   drawGoalShape(x, y, s);
+    else if (kind === 'checkpoint')             drawCheckpointShape(x, y, s, false);
+    else if (kind === 'oneway' && this.tPlatform) image(this.tPlatform, x, y, s, s * 0.3);
+    else if (MOVER_KINDS.includes(kind)) {
+      if (this.tPlatform) image(this.tPlatform, x, y, s, s * 0.5);
+      fill(255, 220, 0);
+      textSize(s * 0.5);
+      text(kind === 'moverX' ? '↔' : '↕', x + s / 2, y + s * 0.7);
+    }
+    else if (kind === 'start') {
+      fill(255, 0, 0, 180);
+      rect(x, y, s, s);
+      fill(255);
+      textSize(s * 0.5);
+      text('S', x + s / 2, y + s / 2);
+    }
+  }
+
+  draw() {
+    const ts = this.ts;
+    background(100);
+    if (this.tBackground) image(this.tBackground, -this.cam, -this.camY, this.w * ts, this.h * ts);
+
+    push();
+    translate(-this.cam, -this.camY);
+    noStroke();
+    const x0 = max(0, floor(this.cam / ts));
+    const x1 = min(this.w - 1, floor((this.cam + width) / ts));
+    const y0 = max(0, floor(this.camY / ts));
+    const y1 = min(this.h - 1, floor((this.camY + height) / ts));
+    for (let y = y0; y <= y1; y++) {
+      for (let x = x0; x <= x1; x++) {
+        this.drawCell(this.cells[y][x], x * ts, y * ts, ts);
+      }
+    }
+
+    // grid + hovered cell
+    stroke(255, 60);
+    strokeWeight(1);
+    for (let x = x0; x <= x1 + 1; x++) line(x * ts, y0 * ts, x * ts, (y1 + 1) * ts);
+    for (let y = y0; y <= y1 + 1; y++) line(x0 * ts, y * ts, (x1 + 1) * ts, y * ts);
+    const hx = floor((mouseX + this.cam) / ts), hy = floor((mouseY + this.camY) / ts);
+    noFill();
+    stroke(255, 102, 204);
+    strokeWeight(2);
+    rect(hx * ts, hy * ts, ts, ts);
+    pop();
+
+    // HUD: palette, level info, help
+    EDITOR_TOOLS.forEach((tool, i) => {
+      const r = this.paletteRect(i);
+      stroke(tool === this.tool ? color(255, 102, 204) : 0);
+      strokeWeight(tool === this.tool ? 4 : 2);
+      fill(0, 0, 0, 150);
+      rect(r.x, r.y, r.w, r.h);
+      noStroke();
+      this.drawCell(tool, r.x + 4, r.y + 4, r.w - 8);
+      fill(255);
+      textSize(12);
+      text(EDITOR_TOOL_KEYS[i], r.x + r.w - 6, r.y + 8);
+    });
+
+    noStroke();
+    fill(0, 0, 0, 150);
+    rect(0, 0, width, 40);
+    fill(255);
+    textSize(16);
+    const warn = [
+      this.count('start') ? '' : 'no start',
+      this.count('flag') || this.count('goal') ? '' : 'no flag',
+      this.count('goal') && !this.count('ballSpawn') ? 'no ball spawn' : '',
+      this.count('ballSpawn') && !this.count('goal') ? 'no goal' : ''
+    ].filter(Boolean).join(', ');
+    text(
+      `EDITOR  ${this.base}  ${this.w}×${this.h}  berries: ${this.berries()}  enemies: ${this.count('enemy')}` +
+      (warn ? `  ⚠ ${warn}` : ''),
+      width / 2, 12
+    );
+    text(
+      '1-0,Q,W,R,Y,U,I tool · A/D ↑/↓ scroll · [ ] width · T test-play · E export PNG · O next map · N clear · ESC menu',
+      width / 2, 30
+    );
+  }
+
+  keyPressed(k) {
+    const t = EDITOR_TOOL_KEYS.indexOf(String.fromCharCode(k));
+    if (t >= 0) this.tool = EDITOR_TOOLS[t];
+    if (k === 219) this.resize(-1);     // [
+    if (k === 221) this.resize(1);      // ]
+    if (k === 78)  this.blank();        // N
+    if (k === 79) {                     // O
+      const keys = Object.keys(MAPS);
+      this.load(keys[(keys.indexOf(this.base) + 1) % keys.length]);
+    }
+    if (k === 69) this.exportPNG();     // E
+    if (k === 84) this.testPlay();      // T
+  }
+  mousePressed() {
+    if (frameCount === this.enteredAt) return;
+    const i = this.paletteAt(mouseX, mouseY);
+    if (i !== null) this.tool = EDITOR_TOOLS[i];
+    this.painting = i === null;
+  }
+  mouseWheel(e) {
+    this.scroll(e.delta);
+  }
+
+  testPlay() {
+    this.sm.change('play', {
+      char: this.char,
+      level: this.base,
+      custom: { cells: this.cells.map(row => [...row]) },
+      editor: true
+    });
+  }
+
+  // write the grid out as a colour-coded bitmap parseLevel() can read
+  exportPNG() {
+    const colors = {};
+    for (const [hex, kind] of Object.entries(MAP_COLORS)) colors[kind] = Number(hex);
+    const out = createImage(this.w, this.h);
+    out.loadPixels();
+    for (let y = 0; y < this.h; y++) {
+      for (let x = 0; x < this.w; x++) {
+        const hex = colors[this.cells[y][x]] ?? 0xFFFFFF;
+        const idx = (y * this.w + x) * 4;
+        out.pixels[idx]     = (hex >> 16) & 0xFF;
+        out.pixels[idx + 1] = (hex >> 8) & 0xFF;
+        out.pixels[idx + 2] = hex & 0xFF;
+        out.pixels[idx + 3] = 255;
+      }
+    }
+    out.updatePixels();
+    out.save(this.base.toLowerCase(), 'png');
+  }
+}
+
+/* ══════════ Input ══════════ */
+const ACTIONS = ['left', 'right', 'jump', 'kick', 'restart', 'back'];
+const DEFAULT_BINDINGS = {
+  // key slots per action: WASD + X for co-op P1, arrows + Enter for P2,
+  // then a solo-only slot (Space jumps when playing alone)
+  keys: {
+    left: [65, 37], right: [68, 39], jump: [87, 38, 32],
+    kick: [88, 13], restart: [82], back: [27]
+  },
+  // standard gamepad mapping: 0 A, 2 X, 3 Y, 8 Back, 14/15 d-pad ←/→;
+  // 9 Start is kept for pausing (see Play.padPressed)
+  pad: {
+    left: [14], right: [15], jump: [0],
+    kick: [2], restart: [3], back: [8]
+  }
+};
+const PAD_DEADZONE = 0.5;
+const KEY_NAMES = {
+  8: 'Bksp', 9: 'Tab', 13: 'Enter', 16: 'Shift', 17: 'Ctrl', 18: 'Alt',
+  27: 'ESC', 32: 'Space', 37: '←', 38: '↑', 39: '→', 40: '↓'
+};
+const PAD_NAMES = [
+  'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start',
+  'LS', 'RS', 'D↑', 'D↓', 'D←', 'D→', 'Home'
+];
+
+/* Named actions merged from the keyboard, the first connected gamepad
+   (buttons + left stick) and the touch overlay. In co-op the key slots
+   split the keyboard: player 1 gets the first key (and touch), player 2
+   the alt key and the gamepad; the solo key only counts in solo play. */
+class InputMap {
+  constructor() {
+    this.bindings = {
+      keys: { ...DEFAULT_BINDINGS.keys, ...save.bindings?.keys },
+      pad:  { ...DEFAULT_BINDINGS.pad,  ...save.bindings?.pad }
+    };
+    this.padDown = new Set();
+    this.axisX = 0;
+  }
+  isDown(action, player) {
+    const keys = this.bindings.keys[action].filter((_, i) => player === undefined || i === player);
+    const pad = player !== 0, touch = player !== 1;
+    return keys.some(k => k !== null && keyIsDown(k))
+        || (pad && this.bindings.pad[action].some(b => this.padDown.has(b)))
+        || (pad && action === 'left'  && this.axisX < -PAD_DEADZONE)
+        || (pad && action === 'right' && this.axisX >  PAD_DEADZONE)
+        || (touch && touchKeys[action] === true);
+  }
+  keyAction(k) {
+    return ACTIONS.find(a => this.bindings.keys[a].includes(k)) || null;
+  }
+  padAction(b) {
+    return ACTIONS.find(a => this.bindings.pad[a].includes(b)) || null;
+  }
+  // read the gamepad once per frame; returns buttons pressed since last poll
+  poll() {
+    const pad = [...(navigator.getGamepads?.() || [])].find(p => p?.connected);
+    const prev = this.padDown;
+    this.padDown = new Set();
+    this.axisX = 0;
+    if (pad) {
+      pad.buttons.forEach((b, i) => { if (b.pressed) this.padDown.add(i); });
+      this.axisX = pad.axes[0] || 0;
+    }
+    return [...this.padDown].filter(b => !prev.has(b));
+  }
+  // device: 'keys' | 'pad'; code: keyCode / button index, or null to clear.
+  // Slots keep their index (an empty one is null) so co-op players never swap.
+  bind(device, action, slot, code) {
+    const map = this.bindings[device];
+    if (code !== null) {
+      for (const a of ACTIONS) map[a] = map[a].map(c => (c === code ? null : c));
+    }
+    const list = [...map[action]];
+    for (let i = list.length; i < slot; i++) list[i] = null;
+    list[slot] = code;
+    map[action] = list;
+    this.persist();
+  }
+  reset() {
+    this.bindings = {
+      keys: { ...DEFAULT_BINDINGS.keys },
+      pad:  { ...DEFAULT_BINDINGS.pad }
+    };
+    this.persist();
+  }
+  persist() {
+    save.bindings = this.bindings;
+    writeSave();
+  }
+  // "R", "R / Start" … for on-screen hints
+  describe(action, device) {
+    const keys = this.bindings.keys[action].map(keyName);
+    const pad  = this.bindings.pad[action].map(padName);
+    const list = device === 'pad' ? pad : device === 'keys' ? keys : [keys.find(Boolean), pad.find(Boolean)];
+    return list.filter(Boolean).join(' / ') || '—';
+  }
+}
+
+function keyName(k) {
+  if (k === undefined || k === null) return '';
+  if (KEY_NAMES[k]) return KEY_NAMES[k];
+  return k >= 48 && k <= 90 ? String.fromCharCode(k) : `#${k}`;
+}
+function padName(b) {
+  return b === undefined || b === null ? '' : PAD_NAMES[b] || `B${b}`;
+}
+
+/* Rebinding screen: ↑/↓ row, ←/→ column, Enter (or click) to listen,
+   Backspace clears, D restores defaults, ESC back. */
+const CONTROL_COLUMNS = [
+  { device: 'keys', slot: 0, label: 'Key (co-op P1)' },
+  { device: 'keys', slot: 1, label: 'Alt key (co-op P2)' },
+  { device: 'keys', slot: 2, label: 'Solo key' },
+  { device: 'pad',  slot: 0, label: 'Gamepad' }
+];
+
+class Controls {
+  constructor(sm) {
+    this.sm = sm;
+  }
+  enter() {
+    this.row = 0;
+    this.col = 0;
+    this.capturing = false;
+  }
+  cellRect(r, c) {
+    const w = min(170, width * 0.16), h = 40;
+    return {
+      x: width * 0.28 + c * (w + 12),
+      y: height * 0.25 + r * (h + 10),
+      w, h
+    };
+  }
+  draw() {
+    image(img.selectionBackground, 0, 0, width, height);
+    noStroke();
+    fill(255);
+    textSize(34);
+    text('Controls', width / 2, height * 0.1);
+
+    textSize(16);
+    CONTROL_COLUMNS.forEach((col, c) => {
+      const r = this.cellRect(0, c);
+      text(col.label, r.x + r.w / 2, r.y - 18);
+    });
+    ACTIONS.forEach((action, r) => {
+      const y = this.cellRect(r, 0);
+      fill(255);
+      textSize(20);
+      text(action.toUpperCase(), width * 0.17, y.y + y.h / 2);
+      CONTROL_COLUMNS.forEach((col, c) => {
+        const rc = this.cellRect(r, c);
+        const sel = r === this.row && c === this.col;
+        fill(0, 0, 0, 150);
+        stroke(sel ? color(255, 102, 204) : color(255, 80));
+        strokeWeight(sel ? 3 : 1);
+        rect(rc.x, rc.y, rc.w, rc.h, 8);
+        noStroke();
+        fill(255);
+        const code = inputMap.bindings[col.device][action][col.slot];
+        const label = sel && this.capturing ? 'press…'
+                    : col.device === 'keys' ? keyName(code) : padName(code);
+        text(label || '—', rc.x + rc.w / 2, rc.y + rc.h / 2);
       });
+    });
+
+    textSize(16);
+    text(
+      '↑/↓/←/→ select · Enter or click = rebind · Backspace = clear · D = defaults · ESC = back',
+      width / 2, height * 0.92
+    );
+  }
+  keyPressed(k) {
+    const col = CONTROL_COLUMNS[this.col];
+    const action = ACTIONS[this.row];
+    if (this.capturing) {
+      this.capturing = false;
+      if (k !== 27 && col.device === 'keys') inputMap.bind('keys', action, col.slot, k);
+      return;
     }
-    // ESC handled by SceneManager.keyPressed
+    if (k === 38) this.row = (this.row + ACTIONS.length - 1) % ACTIONS.length;
+    if (k === 40) this.row = (this.row + 1) % ACTIONS.length;
+    if (k === 37) this.col = (this.col + CONTROL_COLUMNS.length - 1) % CONTROL_COLUMNS.length;
+    if (k === 39) this.col = (this.col + 1) % CONTROL_COLUMNS.length;
+    if (k === 13) this.capturing = true;
+    if (k === 8 || k === 46) inputMap.bind(col.device, action, col.slot, null);
+    if (k === 68) inputMap.reset();
+  }
+  padPressed(b) {
+    if (!this.capturing) return;
+    const col = CONTROL_COLUMNS[this.col];
+    this.capturing = false;
+    if (col.device === 'pad') inputMap.bind('pad', ACTIONS[this.row], col.slot, b);
+  }
+  mousePressed() {
+    ACTIONS.forEach((_, r) => CONTROL_COLUMNS.forEach((__, c) => {
+      const rc = this.cellRect(r, c);
+      if (mouseX > rc.x && mouseX < rc.x + rc.w && mouseY > rc.y && mouseY < rc.y + rc.h) {
+        this.row = r;
+        this.col = c;
+        this.capturing = true;
+      }
+    }));
   }
 }
 
-/* ══════════ Map Parse ══════════ */
-function parseMap() {
-  if (!mapImg) return;
-  mapW = mapImg.width;
-  mapH = mapImg.height;
-  tileSize = height / mapH;
+/* ══════════ Audio ══════════ */
+const AUDIO_DEFAULTS = { master: 1, music: 0.6, sfx: 1, muted: false };
+let buses = null; // p5.Gain per bus: { music, sfx }
+
+/* Every track plays through the music bus and every sfx through the sfx
+   bus; master volume and mute act on p5.sound's output. */
+function setupAudio() {
+  buses = { music: new p5.Gain(), sfx: new p5.Gain() };
+  for (const bus of Object.values(buses)) bus.connect();
+  const route = (sound, bus) => {
+    if (!sound?.disconnect) return;
+    sound.disconnect();
+    bus.setInput(sound);
+  };
+  route(music, buses.music);
+  for (const spec of Object.values(MAPS)) route(spec.musicObj, buses.music);
+  for (const s of Object.values(sfx)) route(s, buses.sfx);
+  applyAudio();
+}
 
-  mapImg.loadPixels();
-  tiles = Array.from({ length: mapH }, () => Array(mapW).fill('empty'));
-  coins = [];
-  flagPos = null;
+function audioSettings() {
+  return { ...AUDIO_DEFAULTS, ...save.audio };
+}
+
+function applyAudio() {
+  const a = audioSettings();
+  buses.music.amp(a.music);
+  buses.sfx.amp(a.sfx);
+  outputVolume(a.muted ? 0 : a.master);
+}
 
-  for (let y = 0; y < mapH; y++) {
-    for (let x = 0; x < mapW; x++) {
-      const idx = (y * mapW + x) * 4;
-      const hex =
-        (mapImg.pixels[idx] << 16) |
-        (mapImg.pixels[idx + 1] << 8) |
-        mapImg.pixels[idx + 2];
+// change one setting (volumes clamp to 0‥1), apply it and persist it
+function setAudio(key, value) {
+  save.audio = {
+    ...audioSettings(),
+    [key]: typeof value === 'number' ? constrain(value, 0, 1) : value
+  };
+  applyAudio();
+  writeSave();
+}
 
-      if      (hex === 0x000000) tiles[y][x] = 'platform';
-      else if (hex === 0xFF00FF) tiles[y][x] = 'lava';
-      else if (hex === 0xFF0000) playerStart = createVector(x, y);
-      else if (hex === 0x11FF00) coins.push({ x: x * tileSize, y: y * tileSize });
-      else if (hex === 0xEAFF4D) flagPos = { x, y };
+/* ══════════ Save Data ══════════ */
+/* localStorage, one JSON blob:
+   { version, levels: { MAP1: { aidan: { bestBerries, total, bestTime, bestScore, completed } } },
+     bindings: { keys: { action: [keyCode] }, pad: { action: [button] } },
+     audio: { master, music, sfx, muted },
+     trials: { MAP1: { aidan: { time, splits: [{ id, t }] } } },
+     reducedEffects: true | false | null (null = follow the OS setting) }
+   Bump SAVE_VERSION and add a migration when the shape changes. */
+const SAVE_KEY = 'sb.save';
+const SAVE_VERSION = 7;
+const SAVE_MIGRATIONS = {
+  // 0 → 1: nothing was saved before versioning
+  0: () => ({ version: 1, levels: {} }),
+  // 1 → 2: rebindable controls (null = defaults)
+  1: d => ({ ...d, version: 2, bindings: null }),
+  // 2 → 3: volume settings (null = defaults)
+  2: d => ({ ...d, version: 3, audio: null }),
+  // 3 → 4: scores (runs before berry points scored nothing)
+  3: d => {
+    for (const lv of Object.values(d.levels)) {
+      for (const rec of Object.values(lv)) rec.bestScore = 0;
     }
+    return { ...d, version: 4 };
+  },
+  // 4 → 5: time trial bests
+  4: d => ({ ...d, version: 5, trials: {} }),
+  // 5 → 6: reduced effects setting
+  5: d => ({ ...d, version: 6, reducedEffects: null }),
+  // 6 → 7: gamepad Start pauses, so a default restart moves to Y
+  6: d => {
+    if (d.bindings?.pad?.restart?.[0] === 9) d.bindings.pad.restart = [3];
+    return { ...d, version: 7 };
+  }
+};
+
+function loadSave() {
+  let data = null;
+  try {
+    data = JSON.parse(localStorage.getItem(SAVE_KEY));
+  } catch (e) {
+    console.warn(`Save data unreadable, starting fresh: ${e.message}`);
+  }
+  // no usable version (e.g. `{}`): there's nothing to migrate from
+  if (!data || typeof data !== 'object' || !Number.isInteger(data.version) || data.version < 0) {
+    data = { version: 0 };
   }
-  totalCoins = coins.length;
+  if (data.version > SAVE_VERSION) {
+    console.warn(`Save data is from a newer version (${data.version}), ignoring it`);
+    data = { version: 0 };
+  }
+  while (data.version < SAVE_VERSION) data = SAVE_MIGRATIONS[data.version](data);
+  return data;
+}
+
+function writeSave() {
+  try {
+    localStorage.setItem(SAVE_KEY, JSON.stringify(save));
+  } catch (e) {
+    console.warn(`Could not save progress: ${e.message}`);
+  }
+}
+
+// fewer particles, no shake or flashes: the player's choice, else the OS's
+function reducedEffects() {
+  return save.reducedEffects ?? !!window.matchMedia?.('(prefers-reduced-motion: reduce)').matches;
+}
+function setReducedEffects(on) {
+  save.reducedEffects = on;
+  writeSave();
 }
 
-function parseMapFrom(imgObj) {
-  mapImg = imgObj;
-  parseMap();
+function levelRecord(level, char) {
+  return save?.levels[level]?.[char] || null;
+}
+
+/* Merge a finished run into the save; returns which records it broke */
+function recordResult(level, char, { won, berries, total, time, score }) {
+  const lv = save.levels[level] ||= {};
+  const rec = lv[char] ||= { bestBerries: 0, total, bestTime: null, bestScore: 0, completed: false };
+  const broke = {
+    berries: berries > rec.bestBerries,
+    time: won && (rec.bestTime === null || time < rec.bestTime),
+    score: score > rec.bestScore
+  };
+  rec.total = total;
+  if (broke.berries) rec.bestBerries = berries;
+  if (broke.time) rec.bestTime = time;
+  if (broke.score) rec.bestScore = score;
+  if (won) rec.completed = true;
+  writeSave();
+  return broke;
+}
+
+function formatTime(ms) {
+  if (ms === null || ms === undefined) return '--';
+  const s = ms / 1000;
+  const m = floor(s / 60);
+  return m ? `${m}:${(s % 60).toFixed(2).padStart(5, '0')}` : `${s.toFixed(2)}s`;
+}
+
+/* ══════════ Campaign ══════════ */
+/* Levels unlock in MAPS order. Progress is derived from the save records:
+   a level opens once any character has beaten the previous one with at
+   least its `unlockBerries`. */
+function nextLevel(level) {
+  const keys = Object.keys(MAPS);
+  return keys[keys.indexOf(level) + 1] || null;
+}
+
+function isUnlocked(level) {
+  const keys = Object.keys(MAPS);
+  const i = keys.indexOf(level);
+  if (i <= 0) return true;
+  const need = MAPS[level].unlockBerries || 0;
+  const recs = Object.values(save?.levels[keys[i - 1]] || {});
+  return recs.some(r => r.completed && r.bestBerries >= need);
+}
+
+function unlockNeeds(level) {
+  const keys = Object.keys(MAPS);
+  const prev = keys[keys.indexOf(level) - 1];
+  const need = MAPS[level].unlockBerries;
+  return need ? `beat ${prev} with ${need} berries` : `beat ${prev}`;
+}
+
+// first unlocked level nobody has completed yet (or the last one)
+function campaignLevel() {
+  const keys = Object.keys(MAPS).filter(isUnlocked);
+  return keys.find(k => !Object.values(save?.levels[k] || {}).some(r => r.completed))
+      || keys[keys.length - 1];
+}
+
+/* ══════════ Time trial ══════════ */
+/* Split times (Game.splits) against the best trial for the level and
+   character, kept in save.trials. Deltas are ms: negative = ahead. */
+const SPLIT_SHOW_TICKS = 150; // how long the HUD shows the last split
+
+function trialRecord(level, char) {
+  return save?.trials[level]?.[char] || null;
+}
+
+// keep a won trial if it's the fastest yet; returns whether it was
+function recordTrial(level, char, time, splits) {
+  const best = trialRecord(level, char);
+  if (best && best.time <= time) return false;
+  (save.trials[level] ||= {})[char] = { time, splits };
+  writeSave();
+  return true;
+}
+
+// each split with its delta against the same milestone in `best` (or null)
+function compareSplits(splits, best) {
+  return splits.map(sp => {
+    const pb = best?.splits.find(b => b.id === sp.id);
+    return { ...sp, delta: pb ? sp.t - pb.t : null };
+  });
+}
+
+function splitLabel(id) {
+  const [kind, n] = id.split(':');
+  return { checkpoint: `Checkpoint ${n}`, berries: `🫐 ${n}`, finish: 'Finish' }[kind];
+}
+function formatDelta(ms) {
+  if (ms === null) return '';
+  return `${ms > 0 ? '+' : ms < 0 ? '−' : '±'}${(abs(ms) / 1000).toFixed(2)}`;
+}
+function splitColor(ms) {
+  return ms === null ? 255 : ms > 0 ? color(255, 70, 70) : color(60, 220, 90);
+}
+
+// the split list, right-aligned down the side of the end screens
+function drawSplits(splits) {
+  push();
+  textAlign(RIGHT, CENTER);
+  textSize(18);
+  stroke(0);
+  strokeWeight(3);
+  const rows = floor(height * 0.8 / 24); // long lists keep their last rows
+  splits.slice(-rows).forEach((sp, i) => {
+    const y = height * 0.12 + i * 24;
+    fill(255);
+    text(`${splitLabel(sp.id)}  ${formatTime(sp.t)}`, width - 110, y);
+    fill(splitColor(sp.delta));
+    text(formatDelta(sp.delta), width - 20, y);
+  });
+  pop();
+}
+
+/* ══════════ Replays & Ghosts ══════════ */
+// bump whenever old inputs would play out differently (maps, physics,
+// scoring): loadRun() and replay drops then ignore the stale runs
+const RUN_VERSION = 2;
+
+/* Records one run: run-length encoded input bits per tick (enough to
+   re-simulate it) and the player's trail in tile units (for the ghost). */
+class RunRecorder {
+  constructor(level, char, trial) {
+    this.level = level;
+    this.char = char;
+    this.trial = trial;
+    this.inputs = [];   // [bits, count, bits, count, …]
+    this.trail = [];    // [x, y, state, …] one triple per tick
+  }
+  record(bits, p) {
+    const n = this.inputs.length;
+    if (n && this.inputs[n - 2] === bits) this.inputs[n - 1]++;
+    else this.inputs.push(bits, 1);
+
+    const state = (p.flip ? 1 : 0) | (p.g ? 2 : 0) | (p.walkIntent ? 4 : 0);
+    this.trail.push(
+      round(p.pos.x / TILE_SIZE * 100) / 100,
+      round(p.pos.y / TILE_SIZE * 100) / 100,
+      state
+    );
+  }
+  finish(result, c) {
+    return {
+      v: RUN_VERSION,
+      level: this.level,
+      char: this.char,
+      trial: this.trial,
+      tileSize: TILE_SIZE,
+      result,
+      c,
+      ticks: this.trail.length / 3,
+      inputs: this.inputs,
+      trail: this.trail
+    };
+  }
+}
+
+/* Feeds a recording's input bits back one tick at a time */
+class ReplayInput {
+  constructor(run) {
+    this.run = run;
+    this.i = 0;       // index into run.inputs pairs
+    this.left = run.inputs[1] || 0;
+    // physics is in pixels; runs recorded before the fixed tile size can drift
+    this.warning = abs(run.tileSize - TILE_SIZE) > 0.001 ? 'tile size differs' : null;
+  }
+  next() {
+    const inputs = this.run.inputs;
+    while (this.left === 0 && this.i + 2 < inputs.length) {
+      this.i += 2;
+      this.left = inputs[this.i + 1];
+    }
+    if (this.left === 0) return 0; // recording over: stand still
+    this.left--;
+    return inputs[this.i];
+  }
+}
+
+/* Translucent racer drawn from a recorded trail */
+class Ghost {
+  constructor(run) {
+    this.run = run;
+    this.sprites = new PlayerSprites(playerChars(run.char)[0]); // co-op runs trail player 1
+  }
+  at(tick) {
+    const t = constrain(tick, 1, this.run.ticks) - 1;
+    const tr = this.run.trail;
+    return { x: tr[t * 3] * TILE_SIZE, y: tr[t * 3 + 1] * TILE_SIZE, state: tr[t * 3 + 2] };
+  }
+  draw(tick, alpha) {
+    if (!this.run.ticks) return;
+    const a = this.at(tick), b = this.at(tick + 1);
+    push();
+    tint(255, 110);
+    this.sprites.draw(lerp(a.x, b.x, alpha), lerp(a.y, b.y, alpha), {
+      flip: (b.state & 1) !== 0,
+      g: (b.state & 2) !== 0,
+      walkIntent: (b.state & 4) !== 0
+    });
+    pop();
+  }
+}
+
+/* Runs live in localStorage: the last run, and the fastest win per
+   level and character (the ghost). */
+function runKey(kind, level, char) {
+  return kind === 'last' ? 'sb.run.last' : `sb.run.best.${level}.${char}`;
+}
+function loadRun(kind, level, char) {
+  try {
+    const run = JSON.parse(localStorage.getItem(runKey(kind, level, char)));
+    return run?.v === RUN_VERSION ? run : null;
+  } catch (e) {
+    return null;
+  }
+}
+function storeRun(run) {
+  const best = loadRun('best', run.level, run.char);
+  try {
+    localStorage.setItem(runKey('last'), JSON.stringify(run));
+    if (run.result === 'win' && (!best || run.ticks < best.ticks)) {
+      localStorage.setItem(runKey('best', run.level, run.char), JSON.stringify(run));
+    }
+  } catch (e) {
+    console.warn(`Could not save run: ${e.message}`); // quota / private mode
+  }
+}
+
+// P / S on the Over and Win screens
+function replayKeys(sm, d, k) {
+  if (!d.recording) return;
+  if (k === 80) { // P
+    sm.change('play', { ...d, replay: d.recording });
+  }
+  if (k === 83) { // S
+    saveJSON(d.recording, `replay-${d.level}-${d.char}.json`);
+  }
 }
 
 /* ══════════ Minimal touch overlay ══════════ */
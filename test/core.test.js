@@ -0,0 +1,718 @@
+/* Simulation core tests: run with `node --test test/` from the repo root. */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const {
+  TILE_SIZE, TICK_MS, LIVES, GAME_TIME_LIMIT, LEASH_TILES, INPUT_BITS, PLAYER_BITS,
+  BERRY_KINDS, COMBO_WINDOW_MS, TIME_BONUS_PER_S, SPLIT_BERRIES,
+  Game, Ball, nearbyPairs, parseLevel, packInput
+} = require('../core');
+
+/* Just enough of a PNG decoder to read the shipped map bitmaps in Node:
+   8-bit greyscale / RGB / RGBA, non-interlaced. Returns what
+   readBitmapLevel() wants: { width, height, pixels } with RGBA pixels. */
+const CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 }; // by PNG colour type
+
+function readPNG(file) {
+  const buf = fs.readFileSync(file);
+  let width, height, channels;
+  const idat = [];
+  for (let p = 8; p < buf.length; ) {
+    const len = buf.readUInt32BE(p);
+    const type = buf.toString('ascii', p + 4, p + 8);
+    const data = buf.subarray(p + 8, p + 8 + len);
+    if (type === 'IHDR') {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      if (data[8] !== 8 || data[12] !== 0) throw new Error(`${file}: only 8-bit, non-interlaced PNGs`);
+      channels = CHANNELS[data[9]];
+      if (!channels) throw new Error(`${file}: palette PNGs are not supported`);
+    }
+    if (type === 'IDAT') idat.push(data);
+    p += 12 + len;
+  }
+
+  // undo the per-row filters
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const out = Buffer.alloc(height * stride);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    for (let x = 0; x < stride; x++) {
+      const v = raw[y * (stride + 1) + 1 + x];
+      const a = x >= channels ? out[y * stride + x - channels] : 0;
+      const b = y ? out[(y - 1) * stride + x] : 0;
+      const c = y && x >= channels ? out[(y - 1) * stride + x - channels] : 0;
+      let pred = 0;
+      if (filter === 1) pred = a;
+      else if (filter === 2) pred = b;
+      else if (filter === 3) pred = (a + b) >> 1;
+      else if (filter === 4) {
+        const pa = Math.abs(b - c), pb = Math.abs(a - c), pc = Math.abs(a + b - 2 * c);
+        pred = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+      }
+      out[y * stride + x] = (v + pred) & 0xFF;
+    }
+  }
+
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const px = out.subarray(i * channels, i * channels + channels);
+    const [r, g, b] = channels >= 3 ? px : [px[0], px[0], px[0]];
+    pixels.set([r, g, b, channels === 4 || channels === 2 ? px[channels - 1] : 255], i * 4);
+  }
+  return { width, height, pixels };
+}
+
+const TS = TILE_SIZE;
+const SHIPPED = ['map1', 'map2', 'map3'];
+const shipped = name => parseLevel(readPNG(path.join(__dirname, '..', 'assets', `${name}.png`)));
+
+// a small editor-style grid: '#' platform, '~' lava, '-' one-way, 'S' start,
+// 'F' flag, 'o' berry ('r' rare, 'g' golden, 't' time), 'E' enemy,
+// 'C' checkpoint, 'B' ball spawn, 'G' goal, '=' moverX, anything else empty
+function grid(...rows) {
+  const kinds = {
+    '#': 'platform', '~': 'lava', '-': 'oneway', S: 'start', F: 'flag', E: 'enemy', C: 'checkpoint',
+    o: 'coin', r: 'coinRare', g: 'coinGolden', t: 'coinTime', B: 'ballSpawn', G: 'goal', '=': 'moverX'
+  };
+  return parseLevel({ cells: rows.map(r => [...r].map(ch => kinds[ch] || 'empty')) });
+}
+
+function run(game, ticks, bits = 0) {
+  const events = [];
+  for (let i = 0; i < ticks && !game.status; i++) events.push(...game.step(bits));
+  return events;
+}
+
+// put a player somewhere with nothing left over from before
+function teleport(p, x, y) {
+  p.pos.set(x, y);
+  p.prev.set(x, y);
+  p.vel.set(0, 0);
+  p.invuln = 0;
+}
+
+function tilesOf(level, kind) {
+  const out = [];
+  level.tiles.forEach((row, y) => row.forEach((t, x) => { if (t === kind) out.push({ x, y }); }));
+  return out;
+}
+
+const RIGHT = INPUT_BITS.right;
+const LEFT = INPUT_BITS.left;
+const JUMP = INPUT_BITS.jump;
+
+test('shipped maps parse without errors', () => {
+  for (const name of SHIPPED) {
+    const level = shipped(name);
+    assert.deepEqual(level.errors, [], name);
+    assert.ok(level.start, `${name} has a start`);
+    assert.ok(level.flag, `${name} has a flag`);
+    assert.ok(level.coins.length > 0, `${name} has berries`);
+  }
+});
+
+test('map problems are reported, not thrown', () => {
+  const level = grid('....', '####');
+  assert.deepEqual(level.errors, ['missing player start', 'missing flag (or goal)']);
+});
+
+// a small Tiled .tmj export: one embedded tileset (kinds by property, class
+// or type), tile layers and an object layer; gids start at 1
+const FLIP_H = 0x80000000, FLIP_V = 0x40000000;
+const base64 = gids => Buffer.from(new Uint32Array(gids).buffer).toString('base64');
+function tiled(layers, { width = 6, height = 4 } = {}) {
+  return {
+    width, height, tilewidth: TS, tileheight: TS, infinite: false,
+    tilesets: [{
+      firstgid: 1,
+      tiles: [
+        { id: 0, properties: [{ name: 'kind', type: 'string', value: 'platform' }] },
+        { id: 1, class: 'lava' },
+        { id: 2, type: 'coin' },
+        { id: 3, class: 'start' }
+      ]
+    }],
+    layers
+  };
+}
+
+test('Tiled maps: CSV and base64 tiles, flip flags, tile objects and mover paths', () => {
+  const level = parseLevel(tiled([
+    { type: 'tilelayer', name: 'ground', width: 6, height: 4, data: [
+      0, 0, 0, 0, 0, 0,
+      0, 0, 0, 0, 0, 0,
+      0, 0, 0, 0, 0, 0,
+      1, 1 | FLIP_H, 2, 1 | FLIP_V, 1, 1
+    ] },
+    { type: 'group', name: 'stuff', layers: [
+      { type: 'tilelayer', name: 'berries', width: 6, height: 4, encoding: 'base64',
+        data: base64([0, 0, 0, 0, 0, 0, 0, 0, 0, 3, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]) }
+    ] },
+    { type: 'objectgroup', name: 'objects', objects: [
+      // tile objects sit on their bottom-left corner
+      { id: 1, gid: 4, x: TS, y: 3 * TS, width: TS, height: TS },
+      { id: 2, type: 'flag', x: 5 * TS, y: 0, properties: [{ name: 'note', type: 'string', value: 'top' }] },
+      { id: 3, class: 'mover', x: 2 * TS, y: TS, polyline: [{ x: 0, y: 0 }, { x: 2 * TS, y: 0 }],
+        properties: [{ name: 'width', type: 'int', value: 1 }] }
+    ] }
+  ]));
+  assert.deepEqual(level.errors, []);
+  assert.deepEqual([level.w, level.h], [6, 4]);
+  assert.deepEqual(level.tiles[3], ['platform', 'platform', 'lava', 'platform', 'platform', 'platform']);
+  assert.deepEqual(level.coins.map(c => [c.x, c.y, c.kind]), [[3 * TS, TS, 'common']]);
+  assert.deepEqual(level.start, { x: 1, y: 2 });
+  assert.deepEqual(level.flag, { x: 5, y: 0, props: { note: 'top' } });
+  assert.equal(level.movers.length, 1);
+  assert.deepEqual(level.movers[0].path, [{ x: 2, y: 1 }, { x: 4, y: 1 }]);
+  assert.equal(level.movers[0].w, 1);
+  assert.equal(level.movers[0].loop, false);
+});
+
+test('Tiled map problems are reported, not thrown', () => {
+  const level = parseLevel(tiled([
+    { type: 'tilelayer', name: 'ground', width: 2, height: 1, data: [1, 9] },
+    { type: 'tilelayer', name: 'zipped', width: 1, height: 1, encoding: 'base64', compression: 'zlib', data: '' },
+    { type: 'objectgroup', name: 'objects', objects: [{ id: 7, type: 'teapot', x: 0, y: 0 }] }
+  ], { width: 2, height: 1 }));
+  assert.deepEqual(level.errors, [
+    'layer "zipped" must use CSV or uncompressed base64 data',
+    'unknown object "teapot" in layer "objects"',
+    'unknown tile id 9',
+    'missing player start',
+    'missing flag (or goal)'
+  ]);
+  assert.deepEqual(level.tiles, [['platform', 'empty']]);
+  assert.deepEqual(parseLevel({ layers: [], width: 0 }).errors.slice(0, 1), ['map has no width/height']);
+});
+
+test.describe('collisions', () => {
+  test('the player lands on the floor at the start of every shipped map', () => {
+    for (const name of SHIPPED) {
+      const game = new Game(shipped(name));
+      run(game, 120);
+      const p = game.players[0];
+      assert.equal(p.g, true, name);
+      const below = Math.floor((p.pos.y + p.h + 1) / TS);
+      const x = Math.floor((p.pos.x + p.w / 2) / TS);
+      assert.equal(game.level.tiles[below][x], 'platform', name);
+      assert.ok(Math.abs(p.pos.y + p.h - below * TS) < 0.1, `${name}: standing on top`);
+    }
+  });
+
+  test('walls stop the player', () => {
+    const game = new Game(grid(
+      '......#...F',
+      '.S....#....',
+      '###########'
+    ));
+    run(game, 120, RIGHT);
+    const p = game.players[0];
+    assert.ok(p.pos.x + p.w <= 6 * TS, `stopped at the wall, x = ${p.pos.x}`);
+    assert.equal(game.status, null);
+  });
+
+  test('one-way ledges let you jump up through them and then hold you', () => {
+    const game = new Game(grid(
+      '.........F',
+      '..........',
+      '..........',
+      '.---......',
+      '..........',
+      '..S.......',
+      '##########'
+    ));
+    run(game, 30);
+    assert.equal(game.players[0].g, true);
+    run(game, 1, JUMP);
+    run(game, 90);
+    const p = game.players[0];
+    assert.equal(p.g, true);
+    assert.ok(Math.abs(p.pos.y + p.h - 3 * TS) < 0.1, `on the ledge, bottom = ${p.pos.y + p.h}`);
+  });
+
+  test('a fast ball does not tunnel through a one-tile floor', () => {
+    const game = new Game(grid(
+      'S........F',
+      '..........',
+      '..........',
+      '##########',
+      '..........',
+      '..........'
+    ));
+    const b = new Ball(5 * TS, TS, true);
+    b.vel.set(0, 60);
+    game.balls.push(b);
+    for (let i = 0; i < 30; i++) {
+      b.update(game);
+      assert.ok(b.pos.y + b.r <= 3 * TS + 0.01, `tick ${i}: y = ${b.pos.y}`);
+    }
+  });
+});
+
+test.describe('balls, enemies and movers', () => {
+  test('a kicked ball knocks out an enemy', () => {
+    const game = new Game(grid(
+      '.........F',
+      '..........',
+      '.S.....E..',
+      '##########'
+    ));
+    run(game, 30);
+    const enemy = game.enemies[0];
+    run(game, 1, INPUT_BITS.kick);
+    let events = [];
+    for (let i = 0; i < 120 && !events.includes('ko'); i++) events = run(game, 1);
+    assert.ok(events.includes('ko'), 'the ball hit the enemy');
+    assert.equal(enemy.alive, false);
+    assert.equal(game.lives, LIVES, 'no harm done to the player');
+    run(game, 40);
+    assert.deepEqual(game.enemies, [], 'gone after the knockout animation');
+  });
+
+  test('the match ball in the goal scores and goes back to the spot', () => {
+    const game = new Game(grid(
+      '..........',
+      '.S..B..G..',
+      '##########'
+    ));
+    assert.equal(game.goalsNeeded, 1);
+    run(game, 30);
+    assert.equal(game.status, null);
+    game.soccer.vel.set(5, 0);
+    const events = run(game, 60);
+    assert.ok(events.includes('goal'));
+    assert.equal(game.goals, 1);
+    assert.deepEqual([game.status, game.reason], ['win', 'goals'], 'no flag: the goal wins');
+    assert.equal(game.soccer.pos.x, 4.5 * TS);
+  });
+
+  test('a moving platform carries whoever stands on it', () => {
+    const game = new Game(grid(
+      '.........F',
+      '..........',
+      '..S.......',
+      '..==......',
+      '..........',
+      '##########'
+    ));
+    const p = game.players[0], m = game.movers[0];
+    run(game, 30);
+    assert.equal(p.g, true);
+    assert.ok(Math.abs(p.pos.y + p.h - m.top) < 1, 'standing on the mover');
+    const px = p.pos.x, mx = m.pos.x;
+    run(game, 60);
+    assert.ok(m.pos.x - mx > TS, `mover moved ${m.pos.x - mx}`);
+    assert.ok(Math.abs((p.pos.x - px) - (m.pos.x - mx)) < 1, `rode along: ${p.pos.x - px}`);
+    assert.equal(p.g, true);
+  });
+
+  test('nearbyPairs finds balls touching across a cell border, and only those', () => {
+    const r = new Ball(0, 0, true).r, cell = 2 * r;
+    const at = (x, y) => new Ball(x, y, true);
+    const a = at(cell - 1, cell - 1);       // cell 0,0
+    const right = at(cell + r, cell - 1);   // cell 1,0
+    const below = at(cell - 1, cell + r);   // cell 0,1
+    const corner = at(cell + 1, cell + 1);  // cell 1,1
+    const far = at(5 * cell, 5 * cell);
+    const pairs = nearbyPairs([a, right, below, corner, far]);
+    const has = (x, y) => pairs.some(([p, q]) => (p === x && q === y) || (p === y && q === x));
+    assert.ok(has(a, right), 'across the vertical border');
+    assert.ok(has(a, below), 'across the horizontal border');
+    assert.ok(has(a, corner), 'across the corner');
+    assert.ok(!pairs.some(pair => pair.includes(far)), 'far balls are never paired');
+    assert.ok(!has(a, a), 'no ball paired with itself');
+  });
+});
+
+test('holding right walks right, jump leaves the ground', () => {
+  const game = new Game(shipped('map1'));
+  run(game, 60);
+  const p = game.players[0];
+  const x = p.pos.x;
+  run(game, 30, RIGHT);
+  assert.ok(p.pos.x > x + 2 * TS, `moved from ${x} to ${p.pos.x}`);
+  assert.equal(p.flip, false);
+  const events = run(game, 1, JUMP);
+  assert.deepEqual(events, ['jump']);
+  assert.equal(p.g, false);
+});
+
+test('character stats set speed, jump height and kick power', () => {
+  const level = grid(
+    '.........................F',
+    '..........................',
+    '..........................',
+    '..........................',
+    '..........................',
+    '..........................',
+    '..........................',
+    '..........................',
+    '..........................',
+    '..........................',
+    '.S........................',
+    '##########################'
+  );
+  const measure = stats => {
+    const game = new Game(level, { players: [stats] });
+    const p = game.players[0];
+    run(game, 30);
+    const x = p.pos.x, floorY = p.pos.y;
+    run(game, 30, RIGHT);
+    const dx = p.pos.x - x;
+    let top = p.pos.y;
+    run(game, 1, JUMP);
+    for (let i = 0; i < 60; i++) {
+      run(game, 1);
+      top = Math.min(top, p.pos.y);
+    }
+    run(game, 1, INPUT_BITS.kick);
+    return { dx, height: floorY - top, kick: game.balls[0].vel.mag() };
+  };
+  const normal = measure({});
+  const sporty = measure({ speed: 6, jump: 24, kickPower: 18 });
+  assert.ok(sporty.dx > normal.dx * 1.3, `walked ${sporty.dx} vs ${normal.dx}`);
+  assert.ok(sporty.height > normal.height * 1.3, `jumped ${sporty.height} vs ${normal.height}`);
+  assert.ok(sporty.kick > normal.kick * 1.3, `kicked ${sporty.kick} vs ${normal.kick}`);
+});
+
+test('berries are collected on touch, once', () => {
+  for (const name of SHIPPED) {
+    const game = new Game(shipped(name));
+    const c = game.coins[0];
+    teleport(game.players[0], c.x, c.y);
+    const events = run(game, 1);
+    assert.ok(events.includes('coin'), name);
+    assert.equal(game.collected(), 1, name);
+    assert.equal(c.col, true, name);
+    assert.ok(!run(game, 1).includes('coin'), `${name}: no second pickup`);
+  }
+});
+
+test.describe('berry kinds', () => {
+  const pick = (game, c) => {
+    teleport(game.players[0], c.x, c.y);
+    return run(game, 1);
+  };
+
+  test('the shipped maps have every kind of berry', () => {
+    for (const name of SHIPPED) {
+      const kinds = new Set(shipped(name).coins.map(c => c.kind));
+      assert.deepEqual([...kinds].sort(), Object.keys(BERRY_KINDS).sort(), name);
+    }
+  });
+
+  test('quick pickups build a combo, slow ones do not', () => {
+    const game = new Game(grid('S.o.o.o.o...F', '#############'));
+    const [a, b, c, d] = game.coins;
+    pick(game, a);
+    pick(game, b);
+    pick(game, c);
+    const pts = BERRY_KINDS.common.points;
+    assert.equal(game.multiplier(), 3);
+    assert.deepEqual(game.score, { berries: 3 * pts, combo: (1 + 2) * pts, time: 0 });
+    run(game, Math.ceil(COMBO_WINDOW_MS / TICK_MS) + 1);
+    assert.equal(game.multiplier(), 1, 'the combo ran out');
+    pick(game, d);
+    assert.equal(game.score.combo, 3 * pts, 'no combo after a pause');
+  });
+
+  test('a golden berry gives a life, a time berry winds the clock back', () => {
+    const game = new Game(grid('S.g.t.t...F', '###########'));
+    run(game, 400);
+    const [golden, time, early] = game.coins;
+    pick(game, golden);
+    assert.equal(game.lives, LIVES + 1);
+    const before = game.elapsed();
+    pick(game, time);
+    assert.ok(Math.abs(game.elapsed() - (before + TICK_MS - BERRY_KINDS.time.time)) < TICK_MS);
+    pick(game, early);
+    assert.equal(game.elapsed(), 0, 'not past the start');
+  });
+
+  test('a time berry only scores when there is no time limit', () => {
+    const game = new Game(grid('S.t...F', '#######'), { timeLimit: null });
+    run(game, 100);
+    const before = game.elapsed();
+    pick(game, game.coins[0]);
+    assert.equal(game.elapsed(), before + TICK_MS);
+    assert.equal(game.score.berries, BERRY_KINDS.time.points);
+  });
+
+  test('dying past a golden berry hands its life back', () => {
+    const game = new Game(grid('F.............', '..............', '..............', '.S.C.g....~...', '##############'));
+    let deaths = 0;
+    for (let i = 0; i < 5000 && !game.status; i++) {
+      if (game.step(RIGHT).includes('hurt')) deaths++;
+    }
+    assert.equal(game.status, 'over');
+    assert.equal(game.reason, 'lives');
+    assert.ok(deaths <= LIVES, `died ${deaths} times`);
+  });
+
+  test('maps can change berry kinds', () => {
+    const game = new Game(grid('S.r...F', '#######'), { berries: { rare: { points: 5 } } });
+    pick(game, game.coins[0]);
+    assert.equal(game.points(), 5);
+    assert.equal(BERRY_KINDS.rare.points, 50, 'the defaults are untouched');
+  });
+
+  test('time left on the clock is a bonus at the flag', () => {
+    const game = new Game(grid('S.....F', '#######'), { timeLimit: 10000 });
+    const { x, y } = game.level.flag;
+    teleport(game.players[0], x * TS, y * TS);
+    run(game, 1);
+    assert.equal(game.status, 'win');
+    assert.equal(game.score.time, 10 * TIME_BONUS_PER_S);
+  });
+
+  test('unknown Tiled berry kinds are reported', () => {
+    const level = parseLevel({
+      width: 3, height: 2, tilewidth: 36, tileheight: 36,
+      layers: [{ type: 'objectgroup', objects: [
+        { type: 'start', x: 0, y: 0 },
+        { type: 'flag', x: 72, y: 0 },
+        { type: 'coin', x: 36, y: 0, properties: [{ name: 'berry', value: 'mystery' }] }
+      ] }]
+    });
+    assert.ok(level.errors.some(e => e.includes('mystery')), level.errors.join());
+  });
+});
+
+test.describe('lava', () => {
+  test('lava costs a life and respawns at the start on every shipped map', () => {
+    for (const name of SHIPPED) {
+      const game = new Game(shipped(name));
+      const lava = tilesOf(game.level, 'lava')[0];
+      assert.ok(lava, `${name} has lava`);
+      const p = game.players[0];
+      teleport(p, lava.x * TS, lava.y * TS - p.h / 2);
+      const events = run(game, 1);
+      assert.ok(events.includes('hurt'), name);
+      assert.equal(game.lives, LIVES - 1, name);
+      assert.equal(game.status, null, name);
+      assert.deepEqual([p.pos.x, p.pos.y], [game.level.start.x * TS, game.level.start.y * TS], name);
+      assert.ok(p.invuln > 0, `${name}: blinking after the respawn`);
+    }
+  });
+
+  test('lava on the last life ends the run', () => {
+    const game = new Game(shipped('map1'), { lives: 1 });
+    const lava = tilesOf(game.level, 'lava')[0];
+    const p = game.players[0];
+    teleport(p, lava.x * TS, lava.y * TS - p.h / 2);
+    run(game, 1);
+    assert.equal(game.lives, 0);
+    assert.equal(game.status, 'over');
+  });
+
+  test('a respawn restores the berries and clock of the checkpoint', () => {
+    const game = new Game(grid(
+      '...................F',
+      '.S..C..o....~.......',
+      '####################'
+    ));
+    let events = [];
+    for (let i = 0; i < 200 && !events.includes('hurt'); i++) events = game.step(RIGHT);
+    assert.equal(game.lives, LIVES - 1);
+    assert.equal(game.checkpoint.cp, game.checkpoints[0]);
+    assert.equal(game.collected(), 0, 'the berry after the checkpoint is back');
+    assert.ok(game.elapsed() < game.ticks * TICK_MS, 'the clock was wound back');
+    assert.equal(game.points(), 0, 'and the score with it');
+  });
+});
+
+test('reaching the flag wins on every shipped map', () => {
+  for (const name of SHIPPED) {
+    const game = new Game(shipped(name));
+    const { x, y } = game.level.flag;
+    teleport(game.players[0], x * TS, y * TS);
+    run(game, 1);
+    assert.equal(game.status, 'win', name);
+  }
+});
+
+test('running out of time ends the run', () => {
+  const game = new Game(shipped('map1'), { timeLimit: 1000 });
+  const ticks = Math.ceil(1000 / TICK_MS);
+  run(game, ticks - 1);
+  assert.equal(game.status, null);
+  run(game, 1);
+  assert.equal(game.status, 'over');
+});
+
+test('events that happen somewhere say where (for effects)', () => {
+  const game = new Game(grid(
+    '.S.......F',
+    '..........',
+    '..........',
+    '....o.....',
+    '##########'
+  ));
+  const p = game.players[0];
+  const events = run(game, 40);
+  assert.ok(events.includes('land'), 'dropping onto the floor at the start');
+  const c = game.coins[0];
+  teleport(p, c.x, c.y);
+  game.step(0);
+  assert.deepEqual(game.spots, [{ type: 'coin', x: c.x + TS / 2, y: c.y + TS / 2 }]);
+  run(game, 20);
+  game.step(JUMP);
+  const [jump] = game.spots;
+  assert.equal(jump.type, 'jump');
+  assert.ok(Math.abs(jump.y - 4 * TS) < 1, 'at the feet');
+  assert.equal(run(game, 5).includes('land'), false, 'no landing mid-air');
+});
+
+test('the player animation follows movement, kicks, hurts and the win', () => {
+  const game = new Game(grid(
+    '.S........',
+    '..........',
+    '..........',
+    '.........F',
+    '##########'
+  ));
+  const p = game.players[0];
+  const states = bits => { game.step(bits); return p.anim; };
+  assert.equal(states(0), 'fall');
+  let seen = [];
+  for (let i = 0; i < 40; i++) seen.push(states(0));
+  assert.ok(seen.includes('land'), 'lands');
+  assert.equal(seen.at(-1), 'idle', 'then stands');
+  assert.equal(states(RIGHT), 'walk');
+  assert.equal(states(JUMP), 'rise');
+  assert.equal(states(INPUT_BITS.kick), 'kick', 'kicking mid-air');
+  p.act('land');
+  assert.equal(p.anim, 'kick', 'a landing does not cut a kick short');
+  p.act('hurt');
+  assert.equal(p.anim, 'hurt', 'but getting hurt does');
+  seen = [];
+  for (let i = 0; i < 60; i++) seen.push(states(0));
+  assert.ok(seen.includes('fall') && seen.at(-1) === 'idle', seen.join());
+  const { x, y } = game.level.flag;
+  teleport(p, x * TS, y * TS);
+  game.step(0);
+  assert.equal(game.status, 'win');
+  assert.equal(p.anim, 'victory');
+});
+
+test.describe('level rules', () => {
+  const atFlag = game => {
+    const { x, y } = game.level.flag;
+    teleport(game.players[0], x * TS, y * TS);
+    return run(game, 1);
+  };
+
+  test('the flag waits for the berries a level asks for', () => {
+    const game = new Game(grid('S.o.o...F', '#########'), { berriesNeeded: 2 });
+    atFlag(game);
+    assert.equal(game.status, null);
+    assert.equal(game.flagOpen(), false);
+    for (const c of game.coins) {
+      teleport(game.players[0], c.x, c.y);
+      run(game, 1);
+    }
+    atFlag(game);
+    assert.equal(game.status, 'win');
+    assert.equal(game.reason, 'flag');
+    assert.deepEqual(game.objectives().map(o => [o.id, o.done]), [['berries', true], ['flag', true]]);
+  });
+
+  test("'all' means every berry, and asking for more than the map has is capped", () => {
+    const level = grid('S.o.o.o.F', '#########');
+    assert.equal(new Game(level, { berriesNeeded: 'all' }).berriesNeeded, 3);
+    assert.equal(new Game(level, { berriesNeeded: 10 }).berriesNeeded, 3);
+  });
+
+  test('survive levels are won on the clock, not at the flag', () => {
+    const game = new Game(grid('S.....F', '#######'), { survive: 2, timeLimit: 1000 });
+    atFlag(game);
+    assert.equal(game.status, null, 'the flag does nothing');
+    run(game, Math.ceil(2000 / TICK_MS));
+    assert.equal(game.status, 'win', 'no time limit either');
+    assert.equal(game.reason, 'survive');
+    assert.deepEqual(game.objectives().map(o => [o.id, o.done]), [['survive', true]]);
+  });
+
+  test('a null time limit never runs out', () => {
+    const game = new Game(grid('S.....F', '#######'), { timeLimit: null });
+    run(game, Math.ceil(GAME_TIME_LIMIT / TICK_MS) + 10);
+    assert.equal(game.status, null);
+    atFlag(game);
+    assert.equal(game.score.time, 0, 'no time bonus without a limit');
+  });
+
+  test('the run says why it ended', () => {
+    const timed = new Game(grid('S.....F', '#######'), { timeLimit: 100 });
+    run(timed, 20);
+    assert.deepEqual([timed.status, timed.reason], ['over', 'time']);
+    const game = new Game(shipped('map1'), { lives: 1 });
+    const lava = tilesOf(game.level, 'lava')[0];
+    teleport(game.players[0], lava.x * TS, lava.y * TS - game.players[0].h / 2);
+    run(game, 1);
+    assert.deepEqual([game.status, game.reason], ['over', 'lives']);
+  });
+});
+
+test.describe('splits', () => {
+  test('milestones are timed once each: checkpoints, every few berries, the finish', () => {
+    const berries = '.o'.repeat(SPLIT_BERRIES);
+    const game = new Game(grid(
+      `S.C${berries}.........F`,
+      '#'.repeat(2 * SPLIT_BERRIES + 13)
+    ));
+    run(game, 2000, RIGHT);
+    assert.equal(game.status, 'win');
+    assert.deepEqual(game.splits.map(sp => sp.id), ['checkpoint:1', `berries:${SPLIT_BERRIES}`, 'finish']);
+    const times = game.splits.map(sp => sp.t);
+    assert.deepEqual(times, [...times].sort((a, b) => a - b));
+    assert.equal(times.at(-1), game.elapsed());
+  });
+
+  test('a respawn drops the splits after the checkpoint', () => {
+    const berries = 'o'.repeat(SPLIT_BERRIES);
+    const game = new Game(grid(
+      `S.C.${berries}..~....F`,
+      '#'.repeat(SPLIT_BERRIES + 12)
+    ));
+    let events = [];
+    for (let i = 0; i < 400 && !events.includes('hurt'); i++) events = game.step(RIGHT);
+    assert.equal(game.lives, LIVES - 1);
+    assert.deepEqual(game.splits.map(sp => sp.id), ['checkpoint:1']);
+  });
+});
+
+test('the same input stream plays out the same way (replays)', () => {
+  const inputs = [];
+  for (let i = 0; i < 600; i++) {
+    const p1 = packInput({ right: i % 120 < 90, jump: i % 45 === 0, kick: i % 50 === 0 });
+    const p2 = packInput({ left: i % 100 < 30, right: i % 100 >= 30, jump: i % 70 === 0 });
+    inputs.push(p1 | (p2 << PLAYER_BITS));
+  }
+  const play = () => {
+    const game = new Game(shipped('map2'), { players: [{}, {}] });
+    for (const bits of inputs) game.step(bits);
+    return {
+      status: game.status,
+      lives: game.lives,
+      berries: game.collected(),
+      players: game.players.map(p => [p.pos.x, p.pos.y]),
+      balls: game.balls.map(b => [b.pos.x, b.pos.y])
+    };
+  };
+  assert.deepEqual(play(), play());
+});
+
+test('co-op players are kept within the leash, whatever the screen', () => {
+  const w = LEASH_TILES * 2;
+  const game = new Game(grid('.'.repeat(w) + 'F', '.'.repeat(w / 2) + 'S' + '.'.repeat(w / 2), '#'.repeat(w + 1)), {
+    players: [{}, {}]
+  });
+  run(game, 600, RIGHT | (LEFT << PLAYER_BITS));
+  const [a, b] = game.players;
+  assert.ok(Math.abs(a.pos.x - b.pos.x) <= LEASH_TILES * TS - a.w + 0.01);
+  assert.ok(Math.abs(a.pos.x - b.pos.x) > LEASH_TILES * TS / 2, 'they did pull apart');
+});